@@ -0,0 +1,25 @@
+/**
+ * Update the input schema in .actor/actor.json from the platform registry
+ * Writes the codeType enum and merges the properties and secrets contributed by
+ * the platform modules. Run after adding or renaming a platform module:
+ *
+ *   npm run schema:update
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { buildInputSchemaFragment } from "../src/registry.js";
+
+const ACTOR_FILE = new URL("../.actor/actor.json", import.meta.url);
+
+const actor = JSON.parse(await readFile(ACTOR_FILE, "utf8"));
+const fragment = buildInputSchemaFragment();
+
+const { properties } = actor.input;
+properties.codeType = { ...properties.codeType, enum: fragment.enum, enumTitles: fragment.enumTitles };
+Object.assign(properties, fragment.properties);
+
+// Platform secrets first, then the remaining ones (e.g. FRONT_URL), platform definitions win
+actor.secrets = { ...fragment.secrets, ...actor.secrets, ...fragment.secrets };
+
+await writeFile(ACTOR_FILE, `${JSON.stringify(actor, null, 2)}\n`);
+console.log(`Updated ${ACTOR_FILE.pathname}: ${fragment.enum.join(', ')}`);
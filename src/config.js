@@ -1,86 +1,27 @@
 /**
  * Configuration for the unified scraper actor
- * Maps each code type to its specific settings and behavior
+ * The settings of each code type live in its platform module (src/platforms/)
+ * and are looked up through the platform registry (registry.js)
+ *
+ * Navigation is described declaratively in 'flows' and 'reportFlows' and run by
+ * utils/flowRunner.js (see there for the step format), so a renamed link on the
+ * target site only needs a change in the platform module. Flows can use the
+ * variables '{{code}}', '{{navigationPath}}' and '{{url}}' (the current page URL).
  */
 
-export const CONFIG = {
-  HR_COCKPIT: {
-    name: "HR Cockpit - Standard",
-    baseUrl: "https://wle2.constant-dialog.ch/admin.php",
-    navigationPath: "Outvision: Persönlichkeitsanalyse Skills",
-    fileTypes: ["Standard-Report", "Assessment-Report", "PPT-Report"],
-    includeCSV: true,
-    loginSelector: {
-      user: "input[name=user]",
-      password: "input[name=password]",
-      submit: "input[value=Login]"
-    },
-    envCredentials: {
-      user: "HR_COCKPIT_USER",
-      password: "HR_COCKPIT_PASSWORD"
-    }
-  },
-  
-  HR_COCKPIT_SOLL: {
-    name: "HR Cockpit - Soll Profile",
-    baseUrl: "https://wle2.constant-dialog.ch/admin.php",
-    navigationPath: "Outvision: SKILLS Soll-Profile",
-    fileTypes: ["Standard-Report", "Assessment-Report", "PPT-Report"],
-    includeCSV: true,
-    loginSelector: {
-      user: "input[name=user]",
-      password: "input[name=password]",
-      submit: "input[value=Login]"
-    },
-    envCredentials: {
-      user: "HR_COCKPIT_USER",
-      password: "HR_COCKPIT_PASSWORD"
-    }
-  },
-  
-  PROFILING_VALUES: {
-    name: "Profiling Values - Reports",
-    baseUrl: "https://backoffice.profilingvalues.com/login.html",
-    navigationPath: "default",
-    fileTypes: ["all_reports"],
-    includeCSV: false,
-    loginSelector: {
-      user: "input#loginname",
-      password: "input[name=password]",
-      submit: "button#button_10"
-    },
-    envCredentials: {
-      user: "PROFILING_VALUES_USER",
-      password: "PROFILING_VALUES_PASSWORD"
-    }
-  },
-  
-  PROFILING_VALUES_SOLL: {
-    name: "Profiling Values - PAT Data",
-    baseUrl: "https://backoffice.profilingvalues.com/login.html",
-    navigationPath: "PAT-Verwaltung",
-    fileTypes: ["metadata_only"],
-    includeCSV: false,
-    loginSelector: {
-      user: "input#loginname",
-      password: "input[name=password]",
-      submit: "button#button_10"
-    },
-    envCredentials: {
-      user: "PROFILING_VALUES_USER",
-      password: "PROFILING_VALUES_PASSWORD"
-    }
-  }
-};
+import { getPlatform, isValidCodeType, getValidCodeTypes } from "./registry.js";
+
+export { isValidCodeType, getValidCodeTypes };
 
 /**
- * Validate that a code type is supported
- * @param {string} codeType - The code type to validate
- * @returns {boolean} - True if valid, false otherwise
+ * Supported run modes
+ * - download: download all reports / extract all data for each code (default)
+ * - discover: only list what is available for each code, nothing is downloaded
+ * - list: list every completed test of the configured group (code types with supportsListing)
+ * - sync: download only the tests completed since the last successful sync (code types with supportsListing)
+ * - compare: scrape a PAT and a candidate's JSON-Report and rate the scores against the PAT bands
  */
-export function isValidCodeType(codeType) {
-  return Object.keys(CONFIG).includes(codeType);
-}
+export const RUN_MODES = ["download", "discover", "list", "sync", "compare"];
 
 /**
  * Get configuration for a specific code type
@@ -88,16 +29,17 @@ export function isValidCodeType(codeType) {
  * @returns {Object} - The configuration object
  */
 export function getConfig(codeType) {
-  if (!isValidCodeType(codeType)) {
-    throw new Error(`Invalid code type: ${codeType}. Valid types: ${Object.keys(CONFIG).join(', ')}`);
-  }
-  return CONFIG[codeType];
+  return getPlatform(codeType).config;
 }
 
 /**
- * Get all valid code types
- * @returns {string[]} - Array of valid code types
+ * Get the platform key for a code type
+ * Code types sharing a base URL and credentials run on the same platform and
+ * can reuse one logged-in browser session
+ * @param {string} codeType - The code type
+ * @returns {string} - The platform key
  */
-export function getValidCodeTypes() {
-  return Object.keys(CONFIG);
+export function getPlatformKey(codeType) {
+  const config = getConfig(codeType);
+  return `${new URL(config.baseUrl).host}:${config.envCredentials.user}`;
 }
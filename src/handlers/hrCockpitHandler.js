@@ -2,35 +2,45 @@
  * HR Cockpit Handler
  * Handles both HR_COCKPIT and HR_COCKPIT_SOLL code types
  * Downloads reports and CSV evaluation data from the HR Cockpit system
+ * For Soll profiles the target profile is also returned in the PAT shape (metadata + data)
+ * Expects a logged-in session and processes every code of the batch with it
  */
 
 import * as fs from "node:fs/promises";
-import { Dataset, KeyValueStore } from "crawlee";
-import { sendProgressUpdate } from "../utils/progressUtils.js";
-import { logStep, logDownload, logError, logSuccess } from "../utils/loggingUtils.js";
+import { Dataset } from "crawlee";
+import { sendProgressUpdate, sendBatchProgressUpdate } from "../utils/progressUtils.js";
+import { recordItemResult } from "../utils/summaryUtils.js";
+import { findColumnIndex, mapRowCells, getLinkContext } from "../utils/tableUtils.js";
+import { findRowOnAnyPage, extractAllRows } from "../utils/paginationUtils.js";
+import { parseSwissDate, isWithinRange } from "../utils/dateUtils.js";
+import { startSync, finishSync } from "../utils/syncUtils.js";
+import { runFlow } from "../utils/flowRunner.js";
+import { CodeNotFoundError, AmbiguousCodeError, toErrorRecord } from "../utils/errors.js";
+import { isReportSelected } from "../utils/reportSelection.js";
+import { parseEvaluationCsv } from "../utils/csvUtils.js";
+import { exportTable, evaluationToTable } from "../utils/exportUtils.js";
+import { createPatMetadata, readPatPage } from "../utils/patUtils.js";
+import { waitForSettled, politenessDelay } from "../utils/waitUtils.js";
+import { saveArtifact, detectContentType, getExtension } from "../utils/storageUtils.js";
+import { logStep, logDownload, logError, logSuccess, createStepTimer } from "../utils/loggingUtils.js";
 
-export async function handleHRCockpit({ page, crawler, log }) {
-  const { code, codeType, runId, actorConfig: config } = crawler;
-  
-  log.info(`Starting HR Cockpit handler for ${config.name}`);
+// Report languages downloaded when the input does not ask for others
+export const DEFAULT_LANGUAGES = ["DE"];
+
+export async function handleHRCockpit({ page, crawler, log, codeType, config, codes }) {
+  const { runId, batch, mode, listing, sync, reportSelection, languages = DEFAULT_LANGUAGES } = crawler;
   
-  const result = { code, codeType, reports: [] };
-  let totalSteps = 8; // Login + Navigation + Download steps + CSV
-  let currentStep = 0;
+  log.info(`Starting HR Cockpit handler for ${config.name} (${codes.length} code(s))`);
   
   try {
-    // STEP 1: Login to the system
-    currentStep++;
-    logStep({ step: "Login to HR Cockpit", current: currentStep, total: totalSteps, log });
-    
-    // Send progress update for login step
+    // Send progress update for navigation
     if (runId) {
       try {
         await sendProgressUpdate({
           runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Login to HR Cockpit",
+          done: batch.done,
+          total: batch.total,
+          description: `Navigate to ${config.navigationPath}`,
           log
         });
       } catch (progressError) {
@@ -38,272 +48,509 @@ export async function handleHRCockpit({ page, crawler, log }) {
       }
     }
     
-    const user = process.env[config.envCredentials.user];
-    const password = process.env[config.envCredentials.password];
-    
-    if (!user || !password) {
-      throw new Error(`Missing credentials for ${codeType}. Please set ${config.envCredentials.user} and ${config.envCredentials.password} environment variables.`);
+    // Navigate to the completed tests of the group (flow defined in the platform module)
+    logStep({ step: `Navigate to ${config.navigationPath}`, current: 1, total: 1, log });
+    const navigationTimer = createStepTimer({ log });
+    navigationTimer.start(`Navigate to ${config.navigationPath}`);
+    await runFlow({ page, steps: config.flows.navigate, vars: { navigationPath: config.navigationPath }, log });
+    navigationTimer.stop();
+    log.info(`Navigated to the completed tests of '${config.navigationPath}' successfully`);
+    
+    // Remember the completed tests view, the CSV download navigates away from it
+    const completedTestsUrl = page.url();
+    
+    // Listing mode: emit every completed test instead of processing codes
+    if (mode === 'list') {
+      const { entries, pagesScanned } = await listCompletedTests({ page, config, dateFrom: listing.dateFrom, dateTo: listing.dateTo, log });
+      await Dataset.pushData(entries.map((entry) => ({ mode: 'list', codeType, ...entry })));
+      recordItemResult(batch, { code: null, codeType, details: { entries: entries.length, pagesScanned } });
+      
+      logSuccess({ 
+        operation: `HR Cockpit listing for ${codeType}`, 
+        result: { codeType, entries: entries.length, pagesScanned }, 
+        log 
+      });
+      return;
     }
     
-    await page.type(config.loginSelector.user, user);
-    await page.type(config.loginSelector.password, password);
-    await page.click(config.loginSelector.submit);
-    log.info("Login form submitted successfully");
-    
-    // Wait for login to complete
-    await page.waitForTimeout(3000);
-    
-    // STEP 2: Navigate to the main administration area
-    currentStep++;
-    logStep({ step: "Navigate to administration area", current: currentStep, total: totalSteps, log });
-    
-    // Send progress update for navigation step
-    if (runId) {
-      try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Navigate to administration area",
-          log
-        });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
-      }
+    // Sync mode: only process the tests completed since the last successful run
+    let codesToProcess = codes;
+    let syncState = null;
+    if (mode === 'sync') {
+      const { entries } = await listCompletedTests({ page, config, log });
+      syncState = await startSync({ codeType, entries, sync, batch, log });
+      codesToProcess = syncState.entries.map((entry) => entry.code);
     }
     
-    await page.waitForSelector('#nav-menu ul li a:has-text("Gruppen verwalten")');
-    await page.click('#nav-menu ul li a:has-text("Gruppen verwalten")');
-    log.info("Clicked on 'Gruppen verwalten' successfully");
-    
-    await page.waitForTimeout(2000);
-    
-    // STEP 3: Navigate to the specific skills profile section
-    currentStep++;
-    logStep({ step: `Navigate to ${config.navigationPath}`, current: currentStep, total: totalSteps, log });
-    
-    // Send progress update for navigation step
-    if (runId) {
+    // Process every code with the same session
+    for (const [index, code] of codesToProcess.entries()) {
       try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: `Navigate to ${config.navigationPath}`,
-          log
+        // Every code starts from the first page of the completed tests
+        // (the listing of sync mode leaves the table on its last page, possibly under the same URL)
+        if (index > 0 || syncState || page.url() !== completedTestsUrl) {
+          await page.goto(completedTestsUrl);
+          await page.locator(config.completedTestsTable).first().waitFor({ state: 'visible' });
+        }
+        
+        if (mode === 'discover') {
+          const inventory = await discoverCode({ page, code, codeType, runId, batch, config, languages, log });
+          await Dataset.pushData(inventory);
+          recordItemResult(batch, { code, codeType });
+          continue;
+        }
+        
+        const result = await processCode({ page, code, codeType, runId, batch, config, completedTestsUrl, reportSelection, languages, log });
+        await Dataset.pushData(result);
+        recordItemResult(batch, { code, codeType });
+        
+        logSuccess({ 
+          operation: `HR Cockpit processing for ${codeType}`, 
+          result: { 
+            code, 
+            codeType, 
+            reportsCount: result.reports.length,
+            reports: result.reports.map(r => (r.language ? `${r.name} (${r.language})` : r.name))
+          }, 
+          log 
         });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
+        
+      } catch (error) {
+        logError({ error, operation: `HR Cockpit processing for ${codeType}`, context: { code, codeType }, log });
+        await Dataset.pushData({ code, codeType, ...toErrorRecord(error) });
+        recordItemResult(batch, { code, codeType, error });
+        // Continue with the next code instead of failing the whole batch
       }
     }
     
-    await page.waitForSelector(`a:has-text("${config.navigationPath}")`);
-    await page.click(`a:has-text("${config.navigationPath}")`);
-    log.info(`Clicked on '${config.navigationPath}' successfully`);
-    
-    await page.waitForTimeout(2000);
-    
-    // STEP 4: Navigate to completed tests view
-    currentStep++;
-    logStep({ step: "Navigate to completed tests", current: currentStep, total: totalSteps, log });
-    
-    // Send progress update for navigation step
-    if (runId) {
-      try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Navigate to completed tests",
-          log
-        });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
-      }
+    // Advance the sync watermark only past the codes downloaded successfully
+    if (syncState) {
+      await finishSync({ codeType, syncState, sync, batch, log });
     }
     
-    await page.waitForSelector('a:has-text("Abgeschlossene Tests ansehen")');
-    await page.click('a:has-text("Abgeschlossene Tests ansehen")');
-    log.info("Clicked on 'Abgeschlossene Tests ansehen' successfully");
-    
-    await page.waitForTimeout(3000);
-    
-    // STEP 5: Find download links for the specified code
-    currentStep++;
-    logStep({ step: "Find download links", current: currentStep, total: totalSteps, log });
-    
-    // Send progress update for finding links step
-    if (runId) {
-      try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Find download links",
-          log
-        });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
-      }
+  } catch (error) {
+    logError({ error, operation: `HR Cockpit processing for ${codeType}`, context: { codes, codeType }, log });
+    throw error;
+  }
+}
+
+/**
+ * List every completed test of the group shown in the completed tests table, on all of its pages
+ * Expects the page to show the completed tests table
+ * @param {Object} params - Listing parameters
+ * @param {Object} params.page - Playwright page
+ * @param {Object} params.config - Configuration for the code type
+ * @param {Date|null} params.dateFrom - Only include tests completed at or after this date (optional)
+ * @param {Date|null} params.dateTo - Only include tests completed at or before this date (optional)
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<Object>} - { entries: one per completed test ({ code, uid, name, completedAt, reportLinks }), pagesScanned }
+ */
+export async function listCompletedTests({ page, config, dateFrom = null, dateTo = null, log }) {
+  const { headers, rows, pagesScanned } = await extractAllRows({ page, tableSelector: config.completedTestsTable, pagination: config.pagination, log });
+  log.info(`Completed tests table has ${rows.length} row(s) on ${pagesScanned} page(s), headers: ${headers.join(', ')}`);
+  
+  const columnIndexes = Object.fromEntries(
+    Object.entries(config.completedTestsColumns).map(([field, column]) => [field, findColumnIndex(headers, column)])
+  );
+  
+  const entries = [];
+  for (const row of rows) {
+    const { code, uid, name, date } = mapRowCells(row, columnIndexes);
+    if (!code) {
+      continue;
     }
     
-    const codeRows = await page.locator(`tr:has-text("${code}")`).all();
-    log.info(`Found ${codeRows.length} table rows containing the code: ${code}`);
-    
-    if (codeRows.length === 0) {
-      throw new Error(`Code ${code} not found in the test results table!`);
+    const completedAt = parseSwissDate(date);
+    if (!isWithinRange(completedAt, dateFrom, dateTo)) {
+      continue;
     }
     
-    const locators = await page.locator(`tr:has-text("${code}") td a:has-text("DE")`).all();
-    log.info(`Found ${locators.length} download links for standard reports`);
+    entries.push({
+      code,
+      uid,
+      name,
+      completedAt: completedAt ? completedAt.toISOString() : null,
+      completedAtRaw: date,
+      reportLinks: row.links.map((link) => ({
+        text: link.text,
+        href: link.href,
+        column: headers[link.column] || null
+      }))
+    });
+  }
+  
+  log.info(`Listed ${entries.length} completed test(s)${dateFrom || dateTo ? ' within the date range' : ''}`);
+  return { entries, pagesScanned };
+}
+
+/**
+ * List the table rows and report links available for a single code
+ * Nothing is downloaded or written to the KeyValueStore
+ * @returns {Promise<Object>} - Inventory record for the code
+ */
+async function discoverCode({ page, code, codeType, runId, batch, config, languages, log }) {
+  logStep({ step: `Discover reports for ${code}`, current: 1, total: 1, log });
+  
+  await sendBatchProgressUpdate({
+    runId,
+    batch,
+    code,
+    step: 1,
+    steps: 1,
+    description: "Discover available reports",
+    log
+  });
+  
+  let rowSelector;
+  let pagesScanned;
+  try {
+    ({ selector: rowSelector, pagesScanned } = await findCodeRow({ page, code, config, log }));
+  } catch (error) {
+    if (error instanceof AmbiguousCodeError) {
+      log.warning(`Code ${code} matches ${error.rows.length} rows of the completed tests table`);
+      return { code, codeType, mode: 'discover', found: true, ambiguous: true, conflictingRows: error.rows, rows: error.rows, links: [] };
+    }
+    if (error instanceof CodeNotFoundError) {
+      log.info(`Code ${code} not found in the completed tests table`);
+      return { code, codeType, mode: 'discover', found: false, pagesScanned: error.pagesScanned, rows: [], links: [] };
+    }
+    throw error;
+  }
+  
+  const rows = await page.locator(rowSelector).evaluateAll((trs) => trs.map((tr) => ({
+    cells: [...tr.querySelectorAll("td")].map((td) => td.innerText.trim())
+  })));
+  
+  const links = [];
+  for (const language of languages) {
+    for (const locator of await findLanguageLinks(page, rowSelector, language).all()) {
+      const { text, href, header } = await getLinkContext(locator);
+      const reportType = resolveReportType({ header, title: '', href }, config.reportTypes);
+      links.push({ text, href, language, column: header, reportType: reportType?.name || null });
+    }
+  }
+  
+  log.info(`Discovered ${rows.length} row(s) and ${links.length} ${languages.join('/')} link(s) for code: ${code}`);
+  
+  return { code, codeType, mode: 'discover', found: rows.length > 0, pagesScanned, rows, links };
+}
+
+/**
+ * Download the selected reports for a single code
+ * Expects the page to show the completed tests table
+ * @returns {Promise<Object>} - Dataset record for the code
+ */
+async function processCode({ page, code, codeType, runId, batch, config, completedTestsUrl, reportSelection, languages, log }) {
+  const result = { code, codeType, reports: [], skippedReports: [], missingLanguages: [], missingReports: [], typeMismatches: [] };
+  const reportFlows = (config.reportFlows || []).filter((flow) => isReportSelected(flow.name, reportSelection));
+  const profileSteps = config.sollProfile ? 1 : 0;
+  let totalSteps = 2 + reportFlows.length + profileSteps; // Find + report flows + Soll profile + Save, download steps added below
+  let currentStep = 0;
+  const timer = createStepTimer({ log });
+  
+  for (const flow of config.reportFlows || []) {
+    if (!reportFlows.includes(flow)) {
+      result.skippedReports.push(flow.name);
+    }
+  }
+  
+  // STEP 1: Find download links for the specified code
+  currentStep++;
+  logStep({ step: `Find download links for ${code}`, current: currentStep, total: totalSteps, log });
+  timer.start("Find download links");
+  
+  await sendBatchProgressUpdate({
+    runId,
+    batch,
+    code,
+    step: currentStep,
+    steps: totalSteps,
+    description: "Find download links",
+    log
+  });
+  
+  // Exactly one row must hold the code in its code column, otherwise reports of another candidate could be downloaded
+  const { selector: rowSelector, row, pageNumber, pagesScanned } = await findCodeRow({ page, code, config, log });
+  result.pagesScanned = pagesScanned;
+  log.info(`Found code ${code} in row ${row.index + 1} of the completed tests table (page ${pageNumber} of ${pagesScanned})`);
+  
+  // Every report column has one link per language (e.g. "DE", "FR", "EN")
+  const downloads = [];
+  for (const language of languages) {
+    const locators = await findLanguageLinks(page, rowSelector, language).all();
+    log.info(`Found ${locators.length} ${language} download links for standard reports`);
     
     if (locators.length === 0) {
-      log.warn(`No download links found for code ${code}. Checking available links...`);
+      log.warning(`No ${language} download links found for code ${code}. Checking available links...`);
       const allLinks = await page.locator('td a').allTextContents();
       log.info(`Available link texts: ${allLinks.slice(0, 10).join(', ')}...`);
+      result.missingLanguages.push(language);
     }
     
-    // Update total steps based on actual files found: 4 base steps + download steps + CSV step + save step
-    totalSteps = 4 + locators.length + (config.includeCSV ? 1 : 0) + 1; // +1 for save results step
+    // Name every link by the report type of its column, leave out the reports not selected for this run
+    const foundTypes = new Set();
+    for (const locator of locators) {
+      const link = await getLinkContext(locator);
+      const reportType = resolveReportType(link, config.reportTypes);
+      const fileType = reportType ? reportType.name : `Report-${link.column + 1}`;
+      
+      if (!reportType) {
+        log.warning(`Unknown report type for ${language} link in column ${link.column + 1} ('${link.header || 'no header'}'), using ${fileType}`);
+      }
+      foundTypes.add(fileType);
+      
+      if (isReportSelected(fileType, reportSelection)) {
+        downloads.push({ fileType, language, locator, reportType });
+      } else if (!result.skippedReports.includes(fileType)) {
+        result.skippedReports.push(fileType);
+      }
+    }
     
-    // STEP 6: Download standard reports
+    // Report types without a link in this language
     if (locators.length > 0) {
-      for (let i = 0; i < locators.length; i++) {
-        currentStep++;
-        const fileType = config.fileTypes[i] || `Report-${i + 1}`;
-        logStep({ step: `Download ${fileType}`, current: currentStep, total: totalSteps, log });
-        
-        const locator = locators[i];
-        
-        try {
-          const downloadResult = await downloadWithRetry(page, locator, fileType, log);
-          result.reports.push({
-            name: fileType,
-            url: `https://api.apify.com/v2/key-value-stores/${process.env.ACTOR_DEFAULT_KEY_VALUE_STORE_ID}/records/${downloadResult.fileName}`
-          });
-          
-          // Send progress update (non-blocking)
-          if (runId) {
-            try {
-              await sendProgressUpdate({
-                runId,
-                done: currentStep,
-                total: totalSteps,
-                description: `Download ${fileType}`,
-                log
-              });
-            } catch (progressError) {
-              // Don't fail the main process due to progress update errors
-              log.info(`Progress update failed (non-critical): ${progressError.message}`);
-            }
-          }
-          
-        } catch (error) {
-          logError({ error, operation: `Download ${fileType}`, log });
-          // Continue with next file instead of failing completely
+      for (const { name } of config.reportTypes) {
+        if (!foundTypes.has(name) && isReportSelected(name, reportSelection)) {
+          log.warning(`No ${language} link found for ${name} of code ${code}`);
+          result.missingReports.push({ name, language });
         }
       }
     }
+  }
+  
+  if (result.skippedReports.length > 0) {
+    log.info(`Skipping reports not selected for this run: ${result.skippedReports.join(', ')}`);
+  }
+  
+  // Update total steps based on the selected files: find step + download steps + report flow steps + Soll profile + save step
+  totalSteps = 1 + downloads.length + reportFlows.length + profileSteps + 1;
+  
+  // STEP 2: Download standard reports
+  for (const { fileType, language, locator, reportType } of downloads) {
+    currentStep++;
+    logStep({ step: `Download ${fileType} (${language})`, current: currentStep, total: totalSteps, log });
+    timer.start(`Download ${fileType} (${language})`);
     
-    // STEP 7: Download CSV evaluation data (if enabled)
-    if (config.includeCSV) {
-      currentStep++;
-      logStep({ step: "Download CSV evaluation data", current: currentStep, total: totalSteps, log });
+    try {
+      const downloadResult = await downloadWithRetry(page, locator, { codeType, code, fileType, language }, log);
       
-      try {
-        const csvResult = await downloadCSVWithRetry(page, code, log);
-        result.reports.push({
-          name: 'Evaluate-daten',
-          url: `https://api.apify.com/v2/key-value-stores/${process.env.ACTOR_DEFAULT_KEY_VALUE_STORE_ID}/records/${csvResult.fileName}`
+      // Check the downloaded file against the type of its column
+      if (reportType?.extensions && !reportType.extensions.includes(downloadResult.extension)) {
+        log.warning(`${fileType} (${language}) has extension '${downloadResult.extension}', expected ${reportType.extensions.join(' or ')}`);
+        result.typeMismatches.push({
+          name: fileType,
+          language,
+          expected: reportType.extensions,
+          actual: downloadResult.extension,
+          fileName: downloadResult.originalFileName
         });
-        
-        // Send progress update (non-blocking)
-        if (runId) {
-          try {
-            await sendProgressUpdate({
-              runId,
-              done: currentStep,
-              total: totalSteps,
-              description: "Download CSV evaluation data",
-              log
-            });
-          } catch (progressError) {
-            // Don't fail the main process due to progress update errors
-            log.info(`Progress update failed (non-critical): ${progressError.message}`);
-          }
-        }
-        
-      } catch (error) {
-        logError({ error, operation: "Download CSV evaluation data", log });
-        // Continue without the CSV file
       }
+      
+      result.reports.push({
+        name: fileType,
+        language,
+        key: downloadResult.key,
+        url: downloadResult.url
+      });
+      
+      await sendBatchProgressUpdate({
+        runId,
+        batch,
+        code,
+        step: currentStep,
+        steps: totalSteps,
+        description: `Download ${fileType} (${language})`,
+        log
+      });
+      
+    } catch (error) {
+      logError({ error, operation: `Download ${fileType} (${language})`, context: { code, language }, log });
+      // Continue with next file instead of failing completely
     }
     
-    // STEP 8: Save results
+    await politenessDelay({ config, log });
+  }
+  
+  // STEP 3: Run the additional report flows (e.g. CSV evaluation data)
+  for (const flow of reportFlows) {
     currentStep++;
-    logStep({ step: "Save results to dataset", current: currentStep, total: totalSteps, log });
+    logStep({ step: `Download ${flow.name}`, current: currentStep, total: totalSteps, log });
+    timer.start(`Download ${flow.name}`);
     
-    // Send progress update for save step
-    if (runId) {
-      try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Save results to dataset",
-          log
+    try {
+      const flowDownloads = await runReportFlowWithRetry({ page, flow, code, codeType, config, startUrl: completedTestsUrl, log });
+      for (const download of flowDownloads) {
+        result.reports.push({
+          name: download.name,
+          language: null, // Report flows are not language specific
+          key: download.key,
+          url: download.url
         });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
+        
+        // Structured content next to the raw file, e.g. the parsed evaluation CSV
+        if (flow.parse) {
+          result[flow.parse.as || 'parsed'] = await parseReportFile({ flow, fileName: download.fileName, url: download.url, log });
+        }
       }
+      
+      await sendBatchProgressUpdate({
+        runId,
+        batch,
+        code,
+        step: currentStep,
+        steps: totalSteps,
+        description: `Download ${flow.name}`,
+        log
+      });
+      
+    } catch (error) {
+      logError({ error, operation: `Download ${flow.name}`, context: { code }, log });
+      // Continue without this report
     }
+  }
+  
+  // Flat CSV and XLSX workbook of the parsed evaluation, a failed export does not fail the code
+  if (result.evaluation && !result.evaluation.error) {
+    timer.start("Export evaluation");
+    try {
+      result.exports = await exportTable({ codeType, code, table: evaluationToTable(result.evaluation, { code, codeType }) });
+      log.info(`Exported evaluation of ${code}: ${result.exports.csv.key}, ${result.exports.xlsx.key}`);
+    } catch (error) {
+      log.warning(`Could not export the evaluation of ${code}: ${error.message}`);
+      result.exports = { error: error.message };
+    }
+  }
+  
+  // Soll profiles: target profile in the same shape as the Profiling Values PAT data,
+  // a profile that cannot be read is reported in 'profileError', the downloads are kept
+  if (config.sollProfile) {
+    currentStep++;
+    logStep({ step: "Read Soll profile", current: currentStep, total: totalSteps, log });
+    timer.start("Read Soll profile");
     
-    await Dataset.pushData(result);
-    
-    // Send final progress update (non-blocking)
-    if (runId) {
-      try {
-        await sendProgressUpdate({
-          runId,
-          done: totalSteps,
-          total: totalSteps,
-          status: 'COMPLETED',
-          description: 'Completed',
-          log
-        });
-      } catch (progressError) {
-        // Don't fail the main process due to progress update errors
-        log.info(`Final progress update failed (non-critical): ${progressError.message}`);
-      }
+    try {
+      Object.assign(result, await readSollProfile({ page, code, config, startUrl: completedTestsUrl, log }));
+    } catch (error) {
+      log.warning(`No Soll profile for ${code}: ${error.message}`);
+      Object.assign(result, {
+        metadata: createPatMetadata({ code, pat_type: config.sollProfile.patType }),
+        data: [],
+        profileError: error.message
+      });
     }
     
-    logSuccess({ 
-      operation: `HR Cockpit processing for ${codeType}`, 
-      result: { 
-        code, 
-        codeType, 
-        reportsCount: result.reports.length,
-        reports: result.reports.map(r => r.name)
-      }, 
-      log 
+    await sendBatchProgressUpdate({
+      runId,
+      batch,
+      code,
+      step: currentStep,
+      steps: totalSteps,
+      description: "Read Soll profile",
+      log
     });
-    
-  } catch (error) {
-    logError({ error, operation: `HR Cockpit processing for ${codeType}`, context: { code, codeType }, log });
-    throw error;
   }
+  
+  result.timings = timer.summary();
+  log.info(`Processed ${code} in ${result.timings.totalMs} ms`);
+  
+  // STEP 4: Save results
+  currentStep++;
+  logStep({ step: "Save results to dataset", current: currentStep, total: totalSteps, log });
+  
+  await sendBatchProgressUpdate({
+    runId,
+    batch,
+    code,
+    step: currentStep,
+    steps: totalSteps,
+    description: "Save results to dataset",
+    log
+  });
+  
+  return result;
+}
+
+/**
+ * Read the target profile of a Soll code from its profile view, in the PAT shape
+ * Starts from the completed tests view; the profile table is read by its header labels like the PAT table
+ * of Profiling Values, values that cannot be read are null and listed in the 'warnings' of their row
+ * @returns {Promise<Object>} - { metadata, info, data, warnings }
+ * @throws {Error} - If the profile view cannot be opened or shows no profile table with definitions
+ */
+async function readSollProfile({ page, code, config, startUrl, log }) {
+  const { sollProfile } = config;
+  
+  // The report flows navigate away from the completed tests view
+  if (page.url() !== startUrl) {
+    await page.goto(startUrl);
+  }
+  await runFlow({ page, steps: sollProfile.flow, vars: { code }, log });
+  
+  const { metadata, info, data, warnings, tableFound } = readPatPage(await page.content(), sollProfile);
+  if (!tableFound) {
+    throw new Error(`the profile view has no profile table (${sollProfile.patTable.selector})`);
+  }
+  if (data.length === 0) {
+    throw new Error("the profile table has no definitions");
+  }
+  
+  const rowWarnings = data.reduce((count, row) => count + row.warnings.length, warnings.length);
+  if (rowWarnings > 0) {
+    log.warning(`Soll profile of code ${code} has ${rowWarnings} warning(s), affected values are null`);
+  }
+  log.info(`Read Soll profile for ${code}: ${data.length} definition(s)`);
+  
+  return {
+    metadata: createPatMetadata({ pat_type: sollProfile.patType, ...metadata, code }),
+    info,
+    data,
+    warnings
+  };
+}
+
+/**
+ * Find the row of the completed tests table whose code cell equals the code exactly, on any page of the table
+ * @returns {Promise<Object>} - { selector, row, pageNumber, pagesScanned } of the single matching row
+ */
+function findCodeRow({ page, code, config, log }) {
+  return findRowOnAnyPage({
+    page,
+    tableSelector: config.completedTestsTable,
+    column: config.completedTestsColumns.code,
+    value: code,
+    pagination: config.pagination,
+    log
+  });
+}
+
+/**
+ * Locate the report links of a row for one language
+ * The links of a report column are labelled with their language code, e.g. "DE"
+ */
+function findLanguageLinks(page, rowSelector, language) {
+  return page.locator(`${rowSelector} td a`).filter({ hasText: new RegExp(`^\\s*${language}\\s*$`, 'i') });
+}
+
+/**
+ * Find the report type of a link from its column header, then from the link context (title, URL)
+ * @returns {Object|null} - The report type of config.reportTypes, or null if none matches
+ */
+function resolveReportType(link, reportTypes = []) {
+  const matches = (text, labels) => Boolean(text) && labels.some((label) => text.toLowerCase().includes(label.toLowerCase()));
+  
+  return reportTypes.find((type) => matches(link.header, type.header))
+    || reportTypes.find((type) => matches(`${link.title} ${link.href}`, type.context || type.header))
+    || null;
 }
 
 /**
  * Helper function for downloading files with retries
+ * The record key is built from the code type, code, report type, language and content (see utils/storageUtils.js)
  */
-async function downloadWithRetry(page, locator, fileType, log, maxRetries = 3) {
+async function downloadWithRetry(page, locator, { codeType, code, fileType, language }, log, maxRetries = 3) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       logDownload({ fileName: fileType, current: attempt, total: maxRetries, log });
       
       const downloadPromise = page.waitForEvent("download", { timeout: 30000 });
-      await page.waitForTimeout(1000);
       await locator.click();
       const download = await downloadPromise;
       
@@ -311,123 +558,89 @@ async function downloadWithRetry(page, locator, fileType, log, maxRetries = 3) {
       await download.saveAs(fileName);
       log.info(`Successfully downloaded: ${fileName}`);
       
-      // Better content type detection based on file extension
-      let contentType = "application/octet-stream";
-      const extension = fileName.toLowerCase().split('.').pop();
-      
-      switch (extension) {
-        case 'pdf':
-          contentType = "application/pdf";
-          break;
-        case 'pptx':
-          contentType = "application/vnd.openxmlformats-officedocument.presentationml.presentation";
-          break;
-        case 'ppt':
-          contentType = "application/vnd.ms-powerpoint";
-          break;
-        case 'docx':
-          contentType = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
-          break;
-        case 'doc':
-          contentType = "application/msword";
-          break;
-        case 'xlsx':
-          contentType = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
-          break;
-        case 'xls':
-          contentType = "application/vnd.ms-excel";
-          break;
-        case 'csv':
-          contentType = "text/csv";
-          break;
-        case 'json':
-          contentType = "application/json";
-          break;
-        case 'txt':
-          contentType = "text/plain";
-          break;
-        case 'xml':
-          contentType = "application/xml";
-          break;
-        case 'html':
-        case 'htm':
-          contentType = "text/html";
-          break;
-        default:
-          contentType = "application/octet-stream";
-      }
-      
+      const contentType = detectContentType(fileName);
+      const extension = getExtension(fileName);
       const buffer = await fs.readFile(fileName);
-      await KeyValueStore.setValue(fileName, buffer, { contentType });
+      const { key, url } = await saveArtifact({ codeType, code, reportType: fileType, language, content: buffer, contentType, extension });
       
-      return { fileName, contentType };
+      return { key, url, originalFileName: fileName, extension, contentType };
       
     } catch (error) {
       log.error(`Attempt ${attempt} failed for ${fileType}: ${error.message}`);
       if (attempt === maxRetries) {
         throw error;
       }
-      await page.waitForTimeout(2000);
+      // Let pending requests of the failed attempt finish before clicking again
+      await waitForSettled(page);
     }
   }
 }
 
 /**
- * Helper function for downloading CSV with retries
+ * Helper function for running a report flow with retries
+ * Every attempt starts from the completed tests view
+ * @returns {Promise<Object[]>} - Stored downloads ({ name, fileName, key, url }), fileName is the local file
  */
-async function downloadCSVWithRetry(page, code, log, maxRetries = 3) {
+async function runReportFlowWithRetry({ page, flow, code, codeType, config, startUrl, log, maxRetries = 3 }) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      log.info(`CSV download attempt ${attempt}/${maxRetries}`);
-      
-      // Extract UID from the test results table
-      const uid = await page.locator(`tr:has-text("${code}") td`).nth(1).innerText();
-      log.info(`Extracted UID: ${uid}`);
-      
-      // Navigate to report creation page
-      await page.goto(page.url().replace(
-        'https://wle2.constant-dialog.ch/admin.php?a=view_completetests&gid=',
-        'https://wle2.constant-dialog.ch/admin.php?a=create_new_report&gid='
-      ));
-      
-      await page.waitForTimeout(3000);
+      log.info(`${flow.name} download attempt ${attempt}/${maxRetries}`);
       
-      // Fill in the UID filter
-      await page.locator('#filter_uid').fill(uid);
-      await page.waitForTimeout(1000);
-      
-      // Select CSV output option
-      await page.locator('input[type=checkbox][name=output_eval_csv]').click();
-      await page.waitForTimeout(1000);
-      
-      // Submit form and wait for popup
-      const popupPromise = page.waitForEvent('popup', { timeout: 30000 });
-      await page.locator('input[type=submit]').click();
-      const popup = await popupPromise;
+      // A retry starts over from a freshly loaded view, the failed attempt may have left filters or popups behind
+      if (attempt > 1 || page.url() !== startUrl) {
+        await page.goto(startUrl);
+      }
       
-      await page.waitForTimeout(2000);
+      const { downloads } = await runFlow({
+        page,
+        steps: flow.steps,
+        vars: { code, navigationPath: config.navigationPath },
+        log
+      });
       
-      // Download CSV from popup
-      const downloadPromise = popup.waitForEvent("download", { timeout: 30000 });
-      await popup.locator('#content ul li a').click();
-      const download = await downloadPromise;
-      
-      const fileName = download.suggestedFilename();
-      await download.saveAs(fileName);
-      log.info(`Successfully downloaded CSV: ${fileName}`);
+      if (downloads.length === 0) {
+        throw new Error(`Flow ${flow.name} did not download any file`);
+      }
       
-      const contentType = 'text/csv';
-      const buffer = await fs.readFile(fileName);
-      await KeyValueStore.setValue(fileName, buffer, { contentType });
+      const stored = [];
+      for (const { name, fileName } of downloads) {
+        const contentType = flow.contentType || detectContentType(fileName);
+        const buffer = await fs.readFile(fileName);
+        const { key, url } = await saveArtifact({ codeType, code, reportType: name, content: buffer, contentType, extension: getExtension(fileName) });
+        log.info(`Successfully downloaded ${flow.name}: ${fileName} (stored as ${key})`);
+        stored.push({ name, fileName, key, url });
+      }
       
-      return { fileName, contentType };
+      return stored;
       
     } catch (error) {
-      log.error(`CSV download attempt ${attempt} failed: ${error.message}`);
+      log.error(`${flow.name} download attempt ${attempt} failed: ${error.message}`);
       if (attempt === maxRetries) {
         throw error;
       }
-      await page.waitForTimeout(2000);
+      await waitForSettled(page);
+    }
+  }
+}
+
+/**
+ * Parse a downloaded report file as configured in the 'parse' settings of its flow
+ * A file that cannot be parsed is still kept, the record then carries the parse error
+ * @returns {Promise<Object>} - Parsed content with the URL of the raw file ({ url, ... } or { url, error })
+ */
+async function parseReportFile({ flow, fileName, url, log }) {
+  try {
+    if (flow.parse.format !== 'csv') {
+      throw new Error(`Unsupported parse format: ${flow.parse.format}`);
     }
+    
+    const parsed = parseEvaluationCsv(await fs.readFile(fileName), flow.parse);
+    log.info(`Parsed ${flow.name}: ${parsed.candidates.length} row(s), ${parsed.scales.length} scale(s), ${parsed.encoding}, delimiter '${parsed.delimiter}'`);
+    
+    return { url, ...parsed };
+    
+  } catch (error) {
+    log.warning(`Could not parse ${flow.name} (${fileName}): ${error.message}`);
+    return { url, error: error.message };
   }
 }
@@ -2,229 +2,473 @@
  * Profiling Values Handler
  * Handles PROFILING_VALUES code type
  * Downloads various report types (PDFs, CSV, JSON) from the Profiling Values system
+ * Expects a logged-in session and processes every code of the batch with it
  */
 
 import * as fs from "node:fs/promises";
 import { Dataset, KeyValueStore } from "crawlee";
 import pRetry from "p-retry";
-import { sendProgressUpdate } from "../utils/progressUtils.js";
-import { logStep, logDownload, logError, logSuccess } from "../utils/loggingUtils.js";
+import { sendBatchProgressUpdate } from "../utils/progressUtils.js";
+import { recordItemResult } from "../utils/summaryUtils.js";
+import { findColumnIndex, mapRowCells } from "../utils/tableUtils.js";
+import { extractAllRows } from "../utils/paginationUtils.js";
+import { parseSwissDate, isWithinRange } from "../utils/dateUtils.js";
+import { startSync, finishSync } from "../utils/syncUtils.js";
+import { runFlow } from "../utils/flowRunner.js";
+import { AmbiguousCodeError, CodeNotFoundError, SchemaDriftError, isFatalError, toErrorRecord } from "../utils/errors.js";
+import { normalizeVersioned } from "../utils/schemaUtils.js";
+import { isReportSelected } from "../utils/reportSelection.js";
+import { saveArtifact, detectContentType, getExtension } from "../utils/storageUtils.js";
+import { captureButtonRequests, fetchCapturedRequest, mapWithConcurrency } from "../utils/downloadUtils.js";
+import { logStep, logError, logSuccess, createStepTimer } from "../utils/loggingUtils.js";
 
-export async function handleProfilingValues({ page, crawler, log }) {
-  const { code, codeType, runId, actorConfig: config } = crawler;
-  
-  log.info(`Starting Profiling Values handler for ${config.name}`);
+// Report buttons of the report box, each submits a form via 'reportbox_submit'
+const REPORT_BUTTONS = "#report_box button[onclick*=reportbox_submit]";
+
+export async function handleProfilingValues({ page, crawler, log, codeType, config, codes }) {
+  const { runId, batch, mode, listing, sync, reportSelection } = crawler;
   
-  const result = { code, codeType, reports: [] };
-  let totalSteps = 6; // Login + Filter + Find + Download steps
-  let currentStep = 0;
+  log.info(`Starting Profiling Values handler for ${config.name} (${codes.length} code(s))`);
   
   try {
-    // STEP 1: Login to the system
-    currentStep++;
-    logStep({ step: "Login to Profiling Values", current: currentStep, total: totalSteps, log });
+    // Remember the filtered list, every code starts from a fresh list view
+    const listUrl = page.url();
     
-    // Send progress update for login step
-    if (runId) {
-      try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Login to Profiling Values",
-          log
-        });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
-      }
+    // Listing mode: emit every entry of the report list instead of processing codes
+    if (mode === 'list') {
+      const { entries, pagesScanned } = await listReports({ page, config, dateFrom: listing.dateFrom, dateTo: listing.dateTo, log });
+      await Dataset.pushData(entries.map((entry) => ({ mode: 'list', codeType, ...entry })));
+      recordItemResult(batch, { code: null, codeType, details: { entries: entries.length, pagesScanned } });
+      
+      logSuccess({ 
+        operation: `Profiling Values listing for ${codeType}`, 
+        result: { codeType, entries: entries.length, pagesScanned }, 
+        log 
+      });
+      return;
     }
     
-    const user = process.env[config.envCredentials.user];
-    const password = process.env[config.envCredentials.password];
-    
-    if (!user || !password) {
-      throw new Error(`Missing credentials for ${codeType}. Please set ${config.envCredentials.user} and ${config.envCredentials.password} environment variables.`);
+    // Sync mode: only process the codes that are new since the last successful run
+    let codesToProcess = codes;
+    let syncState = null;
+    if (mode === 'sync') {
+      const { entries } = await listReports({ page, config, log });
+      syncState = await startSync({ codeType, entries, sync, batch, log });
+      codesToProcess = syncState.entries.map((entry) => entry.code);
     }
     
-    await page.locator(config.loginSelector.user).fill(user);
-    await page.locator(config.loginSelector.password).fill(password);
-    await page.click(config.loginSelector.submit);
-    log.info("Login form submitted successfully");
-    
-    // STEP 2: Wait for filter input and search for code
-    currentStep++;
-    logStep({ step: "Search for code", current: currentStep, total: totalSteps, log });
-    
-    // Send progress update for search step
-    if (runId) {
+    // Process every code with the same session
+    for (const [index, code] of codesToProcess.entries()) {
       try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Search for code",
-          log
+        // The listing of sync mode leaves the table on its last page, possibly under the same URL
+        if (index > 0 || syncState) {
+          await page.goto(listUrl);
+        }
+        
+        if (mode === 'discover') {
+          const inventory = await discoverCode({ page, code, codeType, runId, batch, config, log });
+          await Dataset.pushData(inventory);
+          recordItemResult(batch, { code, codeType });
+          continue;
+        }
+        
+        const result = await processCode({ page, code, codeType, runId, batch, config, reportSelection, log });
+        await Dataset.pushData(result);
+        recordItemResult(batch, { code, codeType });
+        
+        logSuccess({ 
+          operation: `Profiling Values processing for ${codeType}`, 
+          result: { 
+            code, 
+            codeType, 
+            reportsCount: result.reports.length,
+            reports: result.reports.map(r => r.name)
+          }, 
+          log 
         });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
+        
+      } catch (error) {
+        logError({ error, operation: `Profiling Values processing for ${codeType}`, context: { code, codeType }, log });
+        await Dataset.pushData({ code, codeType, ...toErrorRecord(error) });
+        recordItemResult(batch, { code, codeType, error });
+        
+        // Schema drift hits every code alike, stop instead of producing more bad records
+        if (isFatalError(error)) {
+          throw error;
+        }
+        // Continue with the next code instead of failing the whole batch
       }
     }
     
-    await page.locator("input[name=filter_text]").waitFor({ state: "visible", timeout: 60000 });
-    await page.locator("input[name=filter_text]").clear();
-    await page.locator("input[name=filter_text]").fill(code);
-    await page.keyboard.press("Enter");
-    
-    // STEP 3: Wait for code to appear and click PDF report icon
-    currentStep++;
-    logStep({ step: "Navigate to reports", current: currentStep, total: totalSteps, log });
-    
-    // Send progress update for navigation step
-    if (runId) {
-      try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Navigate to reports",
-          log
-        });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
-      }
+    // Advance the sync watermark only past the codes downloaded successfully
+    if (syncState) {
+      await finishSync({ codeType, syncState, sync, batch, log });
     }
     
-    await page.locator(`td:has-text("${code}")`).waitFor({ timeout: 60000 });
-    await page.locator(`tr:has-text("${code}") i[title=PDF-Report]`).click();
+  } catch (error) {
+    logError({ error, operation: `Profiling Values processing for ${codeType}`, context: { codes, codeType }, log });
+    throw error;
+  }
+}
+
+/**
+ * List every entry of the (unfiltered) report list, on all of its pages
+ * Expects the page to show the report list
+ * @param {Object} params - Listing parameters
+ * @param {Object} params.page - Playwright page
+ * @param {Object} params.config - Configuration for the code type
+ * @param {Date|null} params.dateFrom - Only include entries dated at or after this date (optional)
+ * @param {Date|null} params.dateTo - Only include entries dated at or before this date (optional)
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<Object>} - { entries: one per listed code ({ code, name, completedAt }), pagesScanned }
+ */
+export async function listReports({ page, config, dateFrom = null, dateTo = null, log }) {
+  const { headers, rows, pagesScanned } = await extractAllRows({ page, tableSelector: config.reportListTable, pagination: config.pagination, log });
+  log.info(`Report list has ${rows.length} row(s) on ${pagesScanned} page(s), headers: ${headers.join(', ')}`);
+  
+  const columnIndexes = Object.fromEntries(
+    Object.entries(config.reportListColumns).map(([field, column]) => [field, findColumnIndex(headers, column)])
+  );
+  
+  const entries = [];
+  for (const row of rows) {
+    const { code, name, date } = mapRowCells(row, columnIndexes);
+    if (!code) {
+      continue;
+    }
     
-    // STEP 4: Wait for report box and get all report buttons
-    currentStep++;
-    logStep({ step: "Get available reports", current: currentStep, total: totalSteps, log });
+    const completedAt = parseSwissDate(date);
+    if (!isWithinRange(completedAt, dateFrom, dateTo)) {
+      continue;
+    }
     
-    // Send progress update for getting reports step
-    if (runId) {
-      try {
-        await sendProgressUpdate({
+    entries.push({
+      code,
+      name,
+      completedAt: completedAt ? completedAt.toISOString() : null,
+      completedAtRaw: date
+    });
+  }
+  
+  log.info(`Listed ${entries.length} report list entries${dateFrom || dateTo ? ' within the date range' : ''}`);
+  return { entries, pagesScanned };
+}
+
+/**
+ * List the report buttons available for a single code
+ * Nothing is downloaded or written to the KeyValueStore
+ * @returns {Promise<Object>} - Inventory record for the code
+ */
+async function discoverCode({ page, code, codeType, runId, batch, config, log }) {
+  logStep({ step: `Discover reports for ${code}`, current: 1, total: 1, log });
+  
+  await sendBatchProgressUpdate({
+    runId,
+    batch,
+    code,
+    step: 1,
+    steps: 1,
+    description: "Discover available reports",
+    log
+  });
+  
+  await runFlow({ page, steps: config.flows.search, vars: { code }, log });
+  
+  let vars;
+  let pagesScanned;
+  try {
+    ({ vars, pagesScanned } = await runFlow({ page, steps: config.flows.findCode, vars: { code }, log }));
+  } catch (error) {
+    if (error instanceof AmbiguousCodeError) {
+      log.warning(`Code ${code} matches ${error.rows.length} rows of the report list`);
+      return { code, codeType, mode: 'discover', found: true, ambiguous: true, conflictingRows: error.rows, reports: [] };
+    }
+    if (error instanceof CodeNotFoundError) {
+      log.info(`Code ${code} not found in the report list: ${error.message}`);
+      return { code, codeType, mode: 'discover', found: false, pagesScanned: error.pagesScanned, reports: [] };
+    }
+    throw error;
+  }
+  
+  await runFlow({ page, steps: config.flows.openReports, vars, log });
+  
+  const labels = await page.locator(REPORT_BUTTONS).allTextContents();
+  const reports = labels.map((label) => label.trim());
+  
+  log.info(`Discovered ${reports.length} report button(s) for code ${code}: ${reports.join(', ')}`);
+  
+  return { code, codeType, mode: 'discover', found: true, pagesScanned, reports };
+}
+
+/**
+ * Download the selected reports for a single code
+ * Expects the page to show the (unfiltered) report list
+ * @returns {Promise<Object>} - Dataset record for the code
+ */
+async function processCode({ page, code, codeType, runId, batch, config, reportSelection, log }) {
+  const result = { code, codeType, reports: [], skippedReports: [] };
+  let totalSteps = 4; // Filter + Find + Download steps + Save
+  let currentStep = 0;
+  const timer = createStepTimer({ log });
+  
+  // STEP 1: Wait for filter input and search for code
+  currentStep++;
+  logStep({ step: `Search for code ${code}`, current: currentStep, total: totalSteps, log });
+  timer.start("Search for code");
+  
+  await sendBatchProgressUpdate({
+    runId,
+    batch,
+    code,
+    step: currentStep,
+    steps: totalSteps,
+    description: "Search for code",
+    log
+  });
+  
+  await runFlow({ page, steps: config.flows.search, vars: { code }, log });
+  
+  // STEP 2: Wait for code to appear and click PDF report icon
+  currentStep++;
+  logStep({ step: "Navigate to reports", current: currentStep, total: totalSteps, log });
+  timer.start("Navigate to reports");
+  
+  await sendBatchProgressUpdate({
+    runId,
+    batch,
+    code,
+    step: currentStep,
+    steps: totalSteps,
+    description: "Navigate to reports",
+    log
+  });
+  
+  const { pagesScanned } = await runFlow({ page, steps: [...config.flows.findCode, ...config.flows.openReports], vars: { code }, log });
+  result.pagesScanned = pagesScanned;
+  
+  // STEP 3: Wait for report box and get all report buttons
+  currentStep++;
+  logStep({ step: "Get available reports", current: currentStep, total: totalSteps, log });
+  timer.start("Get available reports");
+  
+  // Get initial labels of the buttons to calculate total steps
+  const labels = await page.locator(REPORT_BUTTONS).allTextContents();
+  const buttonCount = labels.length;
+  log.info(`Found ${buttonCount} report buttons`);
+  
+  // Leave out the reports that were not selected for this run
+  const selectedIndexes = [];
+  for (const [i, label] of labels.entries()) {
+    if (isReportSelected(label, reportSelection)) {
+      selectedIndexes.push(i);
+    } else {
+      result.skippedReports.push(label.trim());
+    }
+  }
+  
+  if (result.skippedReports.length > 0) {
+    log.info(`Skipping reports not selected for this run: ${result.skippedReports.join(', ')}`);
+  }
+  
+  // Update total steps based on the selected buttons: filter + navigate + find + downloads + save
+  totalSteps = 3 + selectedIndexes.length + 1;
+  
+  // STEP 4: Download the selected reports, directly over HTTP where possible
+  const reportsByIndex = new Map();
+  let clickIndexes = selectedIndexes;
+  
+  if (config.directDownload?.enabled && selectedIndexes.length > 0) {
+    timer.start(`Download ${selectedIndexes.length} report(s) directly`);
+    const reports = await downloadReportsDirectly({
+      page,
+      code,
+      codeType,
+      config,
+      indexes: selectedIndexes,
+      log,
+      onReport: async (report) => {
+        currentStep++;
+        logStep({ step: `Downloaded ${report.name}`, current: currentStep, total: totalSteps, log });
+        await sendBatchProgressUpdate({
           runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Get available reports",
+          batch,
+          code,
+          step: currentStep,
+          steps: totalSteps,
+          description: `Download ${report.name}`,
           log
         });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
       }
-    }
-    
-    await page.locator("#report_box").waitFor({ state: "visible", timeout: 60000 });
-    
-    // Get initial count of buttons to calculate total steps
-    const initialButtons = await page.locator("#report_box button[onclick*=reportbox_submit]").all();
-    const buttonCount = initialButtons.length;
-    log.info(`Found ${buttonCount} report buttons`);
-    
-    // Update total steps based on button count
-    totalSteps = 4 + buttonCount;
+    });
     
-    // STEP 5: Download each report
-    for (let i = 0; i < buttonCount; i++) {
-      currentStep++;
-      
-      // Re-query buttons each time to get fresh references
-      const buttons = await page.locator("#report_box button[onclick*=reportbox_submit]").all();
-      if (buttons.length !== buttonCount) {
-        throw new Error(`Button count changed during iteration. Expected ${buttonCount}, found ${buttons.length}`);
-      }
-      
-      const button = buttons[i];
-      const buttonText = await button.textContent();
-      
-      logStep({ step: `Download ${buttonText}`, current: currentStep, total: totalSteps, log });
-      
-      try {
-        const reportResult = await pRetry(() => downloadAndUpload(button, page, log), {
-          retries: 5,
-          minTimeout: 2000,
-          onFailedAttempt: (error) => {
-            log.error(`Attempt ${error.attemptNumber} failed for ${buttonText}: ${error.message}. Retrying...`);
-          },
-        });
-        
-        result.reports.push(reportResult);
-        log.info(`Successfully processed: ${reportResult.name}`);
-        
-        // Send progress update
-        if (runId) {
-          await sendProgressUpdate({
-            runId,
-            done: currentStep,
-            total: totalSteps,
-            description: `Download ${buttonText}`,
-            log
-          });
-        }
-        
-      } catch (error) {
-        logError({ error, operation: `Download ${buttonText}`, log });
-        // Continue with other buttons instead of failing completely
-      }
+    for (const [i, report] of reports) {
+      reportsByIndex.set(i, report);
     }
-    
-    // STEP 6: Save results
+    clickIndexes = selectedIndexes.filter((i) => !reportsByIndex.has(i));
+    if (clickIndexes.length > 0) {
+      log.warning(`Falling back to clicking the buttons for ${clickIndexes.map((i) => labels[i].trim()).join(', ')}`);
+    }
+  }
+  
+  // Click path: the button's onclick is run and the download event awaited
+  for (const i of clickIndexes) {
     currentStep++;
-    logStep({ step: "Save results to dataset", current: currentStep, total: totalSteps, log });
     
-    // Send progress update for save step
-    if (runId) {
-      try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Save results to dataset",
-          log
-        });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
-      }
+    // Re-query buttons each time to get fresh references
+    const buttons = await page.locator(REPORT_BUTTONS).all();
+    if (buttons.length !== buttonCount) {
+      throw new Error(`Button count changed during iteration. Expected ${buttonCount}, found ${buttons.length}`);
     }
     
-    await Dataset.pushData(result);
+    const button = buttons[i];
+    const buttonText = await button.textContent();
     
-    // Send final progress update
-    if (runId) {
-      await sendProgressUpdate({
+    logStep({ step: `Download ${buttonText}`, current: currentStep, total: totalSteps, log });
+    timer.start(`Download ${buttonText}`);
+    
+    try {
+      const reportResult = await pRetry(() => downloadAndUpload(button, page, { codeType, code }, log), {
+        retries: 5,
+        minTimeout: 2000,
+        onFailedAttempt: (error) => {
+          log.error(`Attempt ${error.attemptNumber} failed for ${buttonText}: ${error.message}. Retrying...`);
+        },
+      });
+      
+      reportsByIndex.set(i, reportResult);
+      log.info(`Successfully processed: ${reportResult.name}`);
+      
+      await sendBatchProgressUpdate({
         runId,
-        done: totalSteps,
-        total: totalSteps,
-        status: 'COMPLETED',
-        description: 'Completed',
+        batch,
+        code,
+        step: currentStep,
+        steps: totalSteps,
+        description: `Download ${buttonText}`,
         log
       });
+      
+    } catch (error) {
+      logError({ error, operation: `Download ${buttonText}`, context: { code }, log });
+      // Continue with other buttons instead of failing completely
+    }
+  }
+  
+  // Reports in the order of their buttons, whichever path downloaded them
+  result.reports = selectedIndexes.filter((i) => reportsByIndex.has(i)).map((i) => reportsByIndex.get(i));
+  
+  // Normalized JSON-Report, a report in an unknown format fails with a SchemaDriftError
+  const jsonReport = config.jsonReport && result.reports.find((report) => report.name === config.jsonReport.name);
+  if (jsonReport) {
+    timer.start(`Validate ${config.jsonReport.name}`);
+    result.jsonReport = await readJsonReport({ code, key: jsonReport.key, definition: config.jsonReport, log });
+  }
+  
+  result.timings = timer.summary();
+  log.info(`Processed ${code} in ${result.timings.totalMs} ms`);
+  
+  // STEP 5: Save results
+  currentStep++;
+  logStep({ step: "Save results to dataset", current: currentStep, total: totalSteps, log });
+  
+  await sendBatchProgressUpdate({
+    runId,
+    batch,
+    code,
+    step: currentStep,
+    steps: totalSteps,
+    description: "Save results to dataset",
+    log
+  });
+  
+  return result;
+}
+
+/**
+ * Read a stored JSON-Report, validate it against its schema version and normalize it
+ * @returns {Promise<Object>} - Normalized record (see platforms/shared/profilingValuesJsonReport.js)
+ * @throws {SchemaDriftError} - If the report is not valid JSON or fits no known schema version
+ */
+async function readJsonReport({ code, key, definition, log }) {
+  let document;
+  try {
+    document = await KeyValueStore.getValue(key);
+    if (typeof document === 'string' || Buffer.isBuffer(document)) {
+      document = JSON.parse(document.toString());
     }
-    
-    logSuccess({ 
-      operation: `Profiling Values processing for ${codeType}`, 
-      result: { 
-        code, 
-        codeType, 
-        reportsCount: result.reports.length,
-        reports: result.reports.map(r => r.name)
-      }, 
-      log 
-    });
-    
   } catch (error) {
-    logError({ error, operation: `Profiling Values processing for ${codeType}`, context: { code, codeType }, log });
+    if (error instanceof SyntaxError) {
+      throw new SchemaDriftError(definition.name, { issues: [{ path: '$', message: `is not valid JSON (${error.message})` }] });
+    }
     throw error;
   }
+  
+  const normalized = normalizeVersioned({ document, definition });
+  log.info(`${definition.name} of ${code} matches schema version ${normalized.schemaVersion}: ${normalized.dimensions.length} dimension(s), ${normalized.scores.length} score(s)`);
+  
+  return normalized;
 }
 
 /**
- * Helper function to download and upload a report
+ * Download reports with HTTP requests of the logged-in browser context, several at a time
+ * The request of every button is read from the form submitted by 'reportbox_submit'
+ * @returns {Promise<Map>} - Button index to report ({ name, key, url, method }), failed reports are left out
  */
-async function downloadAndUpload(button, page, log) {
-  const name = await button.textContent();
+async function downloadReportsDirectly({ page, code, codeType, config, indexes, log, onReport }) {
+  const reports = new Map();
+  
+  let captures;
+  try {
+    captures = await captureButtonRequests({ page, selector: REPORT_BUTTONS });
+  } catch (error) {
+    log.warning(`Could not read the report requests, downloading by click: ${error.message}`);
+    return reports;
+  }
+  
+  const selected = indexes.map((i) => captures[i]).filter(Boolean);
+  await mapWithConcurrency(selected, config.directDownload.concurrency || 1, async (capture) => {
+    if (!capture.request) {
+      log.warning(`No direct request for ${capture.label}: ${capture.error}`);
+      return;
+    }
+    
+    try {
+      const { buffer, contentType, fileName } = await pRetry(() => fetchCapturedRequest({ page, request: capture.request }), {
+        retries: 2,
+        minTimeout: 1000,
+        onFailedAttempt: (error) => {
+          log.warning(`Direct download attempt ${error.attemptNumber} failed for ${capture.label}: ${error.message}`);
+        },
+      });
+      
+      const { key, url } = await saveArtifact({
+        codeType,
+        code,
+        reportType: capture.label,
+        content: buffer,
+        contentType,
+        extension: getExtension(fileName)
+      });
+      log.info(`Downloaded ${capture.label} directly: ${fileName || key} (${contentType}, ${buffer.length} bytes)`);
+      
+      const report = { name: capture.label, key, url, method: 'direct' };
+      reports.set(capture.index, report);
+      await onReport(report);
+      
+    } catch (error) {
+      log.warning(`Direct download failed for ${capture.label}: ${error.message}`);
+    }
+  });
+  
+  return reports;
+}
+
+/**
+ * Helper function to download and upload a report by clicking its button
+ * The record key is built from the code type, code, report name and content (see utils/storageUtils.js)
+ */
+async function downloadAndUpload(button, page, { codeType, code }, log) {
+  const name = (await button.textContent()).trim();
   
   // Special handling for JSON-Report
   if (name === 'JSON-Report') {
@@ -246,12 +490,9 @@ async function downloadAndUpload(button, page, log) {
     log.info("Successfully fetched JSON data");
     
     // Save JSON data
-    await KeyValueStore.setValue(name, jsonData, { contentType: "application/json" });
+    const { key, url } = await saveArtifact({ codeType, code, reportType: name, content: jsonData, contentType: "application/json", extension: "json" });
     
-    return {
-      name,
-      url: `https://api.apify.com/v2/key-value-stores/${process.env.ACTOR_DEFAULT_KEY_VALUE_STORE_ID}/records/${name}`,
-    };
+    return { name, key, url, method: 'click' };
   }
   
   // Original download handling for other reports
@@ -263,8 +504,8 @@ async function downloadAndUpload(button, page, log) {
   const command = await button.getAttribute("onclick");
   log.info(`Executing command: ${command}`);
   
-  await page.evaluate((command) => {
-    eval(command);
+  await page.evaluate((onclick) => {
+    eval(onclick);
   }, command);
   
   log.info("Waiting for download to start");
@@ -273,63 +514,13 @@ async function downloadAndUpload(button, page, log) {
   log.info(`Downloading file: ${fileName}`);
   
   await download.saveAs(fileName);
-  // Better content type detection based on file extension
-  let contentType = "application/octet-stream";
-  const extension = fileName.toLowerCase().split('.').pop();
-  
-  switch (extension) {
-    case 'csv':
-      contentType = "text/csv";
-      break;
-    case 'pdf':
-      contentType = "application/pdf";
-      break;
-    case 'pptx':
-      contentType = "application/vnd.openxmlformats-officedocument.presentationml.presentation";
-      break;
-    case 'ppt':
-      contentType = "application/vnd.ms-powerpoint";
-      break;
-    case 'xlsx':
-      contentType = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
-      break;
-    case 'xls':
-      contentType = "application/vnd.ms-excel";
-      break;
-    case 'docx':
-      contentType = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
-      break;
-    case 'doc':
-      contentType = "application/msword";
-      break;
-    case 'json':
-      contentType = "application/json";
-      break;
-    case 'txt':
-      contentType = "text/plain";
-      break;
-    case 'xml':
-      contentType = "application/xml";
-      break;
-    case 'html':
-    case 'htm':
-      contentType = "text/html";
-      break;
-    default:
-      contentType = "application/octet-stream";
-  }
+  const contentType = detectContentType(fileName);
   
   log.info(`Reading file: ${fileName}`);
   const buffer = await fs.readFile(fileName);
   
-  log.info(`Uploading to KeyValueStore: ${name}`);
-  await KeyValueStore.setValue(name, buffer, { contentType });
-  
-  // Add a delay between downloads to prevent rate limiting
-  await new Promise(resolve => setTimeout(resolve, 2000));
+  const { key, url } = await saveArtifact({ codeType, code, reportType: name, content: buffer, contentType, extension: getExtension(fileName) });
+  log.info(`Uploaded to KeyValueStore: ${key}`);
   
-  return {
-    name,
-    url: `https://api.apify.com/v2/key-value-stores/${process.env.ACTOR_DEFAULT_KEY_VALUE_STORE_ID}/records/${name}`,
-  };
+  return { name, key, url, method: 'click' };
 }
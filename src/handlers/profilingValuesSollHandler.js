@@ -2,65 +2,35 @@
  * Profiling Values Soll Handler
  * Handles PROFILING_VALUES_SOLL code type
  * Extracts PAT (Profile Analysis Tool) metadata and structured data
+ * Expects a logged-in session and processes every code of the batch with it
  */
 
 import { Dataset } from "crawlee";
-import * as cheerio from "cheerio";
-import { sendProgressUpdate } from "../utils/progressUtils.js";
-import { logStep, logError, logSuccess } from "../utils/loggingUtils.js";
+import { sendProgressUpdate, sendBatchProgressUpdate } from "../utils/progressUtils.js";
+import { recordItemResult } from "../utils/summaryUtils.js";
+import { runFlow } from "../utils/flowRunner.js";
+import { AmbiguousCodeError, CodeNotFoundError, toErrorRecord } from "../utils/errors.js";
+import { createPatMetadata, readPatPage } from "../utils/patUtils.js";
+import { recordSnapshot } from "../utils/snapshotUtils.js";
+import { exportTable, patToTable } from "../utils/exportUtils.js";
+import { logStep, logError, logSuccess, createStepTimer } from "../utils/loggingUtils.js";
 
-export async function handleProfilingValuesSoll({ page, crawler, log }) {
-  const { code, codeType, runId, actorConfig: config } = crawler;
+export async function handleProfilingValuesSoll({ page, crawler, log, codeType, config, codes }) {
+  const { runId, batch, mode, snapshots } = crawler;
   
-  log.info(`Starting Profiling Values Soll handler for ${config.name}`);
+  log.info(`Starting Profiling Values Soll handler for ${config.name} (${codes.length} code(s))`);
   
-  const result = { code, codeType };
-  let totalSteps = 5; // Login + Navigation + Filter + Extract + Save
+  const setupSteps = 1; // Navigation, shared by all codes
   let currentStep = 0;
   
   try {
-    // STEP 1: Login to the system
-    currentStep++;
-    logStep({ step: "Login to Profiling Values", current: currentStep, total: totalSteps, log });
-    
-    // Send progress update for login step
+    // Send progress update for navigation
     if (runId) {
       try {
         await sendProgressUpdate({
           runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Login to Profiling Values",
-          log
-        });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
-      }
-    }
-    
-    const user = process.env[config.envCredentials.user];
-    const password = process.env[config.envCredentials.password];
-    
-    if (!user || !password) {
-      throw new Error(`Missing credentials for ${codeType}. Please set ${config.envCredentials.user} and ${config.envCredentials.password} environment variables.`);
-    }
-    
-    await page.locator(config.loginSelector.user).fill(user);
-    await page.locator(config.loginSelector.password).fill(password);
-    await page.click(config.loginSelector.submit);
-    log.info("Login form submitted successfully");
-    
-    // STEP 2: Navigate to PAT administration
-    currentStep++;
-    logStep({ step: "Navigate to PAT administration", current: currentStep, total: totalSteps, log });
-    
-    // Send progress update for navigation step
-    if (runId) {
-      try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
+          done: batch.done,
+          total: batch.total,
           description: "Navigate to PAT administration",
           log
         });
@@ -69,170 +39,203 @@ export async function handleProfilingValuesSoll({ page, crawler, log }) {
       }
     }
     
-    await page.locator('a:has-text("PAT-Verwaltung")').click();
-    log.info("Clicked on 'PAT-Verwaltung' successfully");
-    
-    // STEP 3: Filter and search for code
+    // STEP 1: Navigate to PAT administration
     currentStep++;
-    logStep({ step: "Search for code", current: currentStep, total: totalSteps, log });
-    
-    // Send progress update for search step
-    if (runId) {
-      try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Search for code",
-          log
-        });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
-      }
-    }
-    
-    await page.locator("input[name=filter_text]").waitFor({ state: "visible" });
-    await page.locator("input[name=filter_text]").clear();
-    await page.locator("input[name=filter_text]").fill(code);
-    await page.keyboard.press("Enter");
+    logStep({ step: "Navigate to PAT administration", current: currentStep, total: setupSteps, log });
     
-    // Wait for code to appear and click view button
-    await page.locator(`td:has-text("${code}")`).waitFor();
-    await page.locator(`tr:has-text("${code}") i[title=Anzeigen]`).click();
-    log.info(`Found and clicked on code: ${code}`);
+    await runFlow({ page, steps: config.flows.navigate, vars: { navigationPath: config.navigationPath }, log });
+    log.info(`Navigated to '${config.navigationPath}' successfully`);
     
-    // STEP 4: Wait for PAT container and extract data
-    currentStep++;
-    logStep({ step: "Extract PAT data", current: currentStep, total: totalSteps, log });
+    // Remember the PAT list, every code starts from a fresh list view
+    const patListUrl = page.url();
     
-    // Send progress update for extraction step
-    if (runId) {
+    // Process every code with the same session
+    for (const [index, code] of codes.entries()) {
       try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Extract PAT data",
-          log
+        if (index > 0) {
+          await page.goto(patListUrl);
+        }
+        
+        if (mode === 'discover') {
+          const inventory = await discoverCode({ page, code, codeType, runId, batch, config, log });
+          await Dataset.pushData(inventory);
+          recordItemResult(batch, { code, codeType });
+          continue;
+        }
+        
+        const result = await processCode({ page, code, codeType, runId, batch, config, snapshots, log });
+        await Dataset.pushData(result);
+        recordItemResult(batch, { code, codeType });
+        
+        logSuccess({ 
+          operation: `Profiling Values Soll processing for ${codeType}`, 
+          result: { 
+            code, 
+            codeType, 
+            metadataFields: Object.keys(result.metadata).length,
+            dataRows: result.data.length
+          }, 
+          log 
         });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
+        
+      } catch (error) {
+        logError({ error, operation: `Profiling Values Soll processing for ${codeType}`, context: { code, codeType }, log });
+        await Dataset.pushData({ code, codeType, ...toErrorRecord(error) });
+        recordItemResult(batch, { code, codeType, error });
+        // Continue with the next code instead of failing the whole batch
       }
     }
     
-    await page.locator("#pat_container").waitFor({ state: "visible" });
-    log.info("PAT container is visible, extracting data...");
-    
-    // Extract data using cheerio
-    const $ = cheerio.load(await page.content());
-    
-    // Extract metadata
-    result.metadata = {
-      code,
-      key: $("td:contains(Schlüssel)").next("td").text(),
-      created: $("td:contains(Erstellt)")
-        .next("td")
-        .text()
-        .split("von")
-        .shift()
-        .trim(),
-      created_by: $("td:contains(Erstellt)")
-        .next("td")
-        .text()
-        .split("von")
-        .pop()
-        .trim(),
-      pat_type: $("td:contains(PAT-Typ)").next("td").text(),
-      company: $("td:contains(Firma)").next("td").text(),
-      industry: $("td:contains(Branche)").next("td").text(),
-      role: $("td:contains(Funktion)").next("td").text(),
-      modified: $("td:contains(Geändert)").next("td").text(),
-    };
-    
-    // Extract structured data
-    result.data = [];
-    const trs = $("#pat_table tr").slice(1);
-    
-    for (let i = 0; i < trs.length; i += 2) {
-      const row = {};
-      row.definition = $(trs[i]).find("td").eq(0).text().trim();
-      row.koennen = {};
-      row.koennen.min = Number($(trs[i]).find("td").eq(2).text().trim());
-      row.koennen.max = Number($(trs[i]).find("td").eq(3).text().trim());
-      row.koennen.mitte = Number($(trs[i]).find("td").eq(4).text().trim());
+  } catch (error) {
+    logError({ error, operation: `Profiling Values Soll processing for ${codeType}`, context: { codes, codeType }, log });
+    throw error;
+  }
+}
 
-      row.wollen = {};
-      row.wollen.min = Number(
-        $(trs[i]).next("tr").find("td").eq(2).text().trim()
-      );
-      row.wollen.max = Number(
-        $(trs[i]).next("tr").find("td").eq(3).text().trim()
-      );
-      row.wollen.mitte = Number(
-        $(trs[i]).next("tr").find("td").eq(4).text().trim()
-      );
-      result.data.push(row);
-    }
-    
-    log.info(`Extracted ${result.data.length} data rows and metadata for code: ${code}`);
-    
-    // Send progress update
-    if (runId) {
-      await sendProgressUpdate({
-        runId,
-        done: currentStep,
-        total: totalSteps,
-        description: "Extract PAT data",
-        log
-      });
-    }
-    
-    // STEP 5: Save results
-    currentStep++;
-    logStep({ step: "Save results to dataset", current: currentStep, total: totalSteps, log });
-    
-    // Send progress update for save step
-    if (runId) {
-      try {
-        await sendProgressUpdate({
-          runId,
-          done: currentStep,
-          total: totalSteps,
-          description: "Save results to dataset",
-          log
-        });
-      } catch (progressError) {
-        log.info(`Progress update failed (non-critical): ${progressError.message}`);
-      }
+/**
+ * Check whether a PAT entry exists for a single code
+ * Nothing is extracted or written to the KeyValueStore
+ * @returns {Promise<Object>} - Inventory record for the code
+ */
+async function discoverCode({ page, code, codeType, runId, batch, config, log }) {
+  logStep({ step: `Discover PAT entry for ${code}`, current: 1, total: 1, log });
+  
+  await sendBatchProgressUpdate({
+    runId,
+    batch,
+    code,
+    step: 1,
+    steps: 1,
+    description: "Discover PAT entry",
+    log
+  });
+  
+  await runFlow({ page, steps: config.flows.search, vars: { code }, log });
+  
+  let pagesScanned;
+  try {
+    ({ pagesScanned } = await runFlow({ page, steps: config.flows.findCode, vars: { code }, log }));
+  } catch (error) {
+    if (error instanceof AmbiguousCodeError) {
+      log.warning(`Code ${code} matches ${error.rows.length} PAT entries`);
+      return { code, codeType, mode: 'discover', found: true, patExists: true, ambiguous: true, conflictingRows: error.rows };
     }
-    
-    await Dataset.pushData(result);
-    
-    // Send final progress update
-    if (runId) {
-      await sendProgressUpdate({
-        runId,
-        done: totalSteps,
-        total: totalSteps,
-        status: 'COMPLETED',
-        description: 'Completed',
-        log
-      });
+    if (error instanceof CodeNotFoundError) {
+      log.info(`PAT entry for code ${code} not found`);
+      return { code, codeType, mode: 'discover', found: false, patExists: false, pagesScanned: error.pagesScanned };
     }
-    
-    logSuccess({ 
-      operation: `Profiling Values Soll processing for ${codeType}`, 
-      result: { 
-        code, 
-        codeType, 
-        metadataFields: Object.keys(result.metadata).length,
-        dataRows: result.data.length
-      }, 
-      log 
-    });
-    
-  } catch (error) {
-    logError({ error, operation: `Profiling Values Soll processing for ${codeType}`, context: { code, codeType }, log });
     throw error;
   }
+  
+  log.info(`PAT entry for code ${code} exists`);
+  
+  return { code, codeType, mode: 'discover', found: true, patExists: true, pagesScanned };
+}
+
+/**
+ * Extract PAT metadata and structured data for a single code
+ * Expects the page to show the PAT list
+ * @returns {Promise<Object>} - Dataset record for the code
+ */
+async function processCode({ page, code, codeType, runId, batch, config, snapshots, log }) {
+  const result = { code, codeType };
+  const totalSteps = 3; // Filter + Extract + Save
+  let currentStep = 0;
+  const timer = createStepTimer({ log });
+  
+  // STEP 1: Filter and search for code
+  currentStep++;
+  logStep({ step: `Search for code ${code}`, current: currentStep, total: totalSteps, log });
+  timer.start("Search and open code");
+  
+  await sendBatchProgressUpdate({
+    runId,
+    batch,
+    code,
+    step: currentStep,
+    steps: totalSteps,
+    description: "Search for code",
+    log
+  });
+  
+  await runFlow({ page, steps: config.flows.search, vars: { code }, log });
+  
+  // Wait for code to appear and open the profile
+  const { pagesScanned } = await runFlow({ page, steps: [...config.flows.findCode, ...config.flows.openProfile], vars: { code }, log });
+  result.pagesScanned = pagesScanned;
+  log.info(`Found and opened code: ${code}`);
+  
+  // STEP 2: Extract PAT data
+  currentStep++;
+  logStep({ step: "Extract PAT data", current: currentStep, total: totalSteps, log });
+  timer.start("Extract PAT data");
+  
+  await sendBatchProgressUpdate({
+    runId,
+    batch,
+    code,
+    step: currentStep,
+    steps: totalSteps,
+    description: "Extract PAT data",
+    log
+  });
+  
+  log.info("PAT container is visible, extracting data...");
+  
+  // Every label/value pair of the PAT info table, known labels fill the metadata keys;
+  // structured data by the header labels of the PAT table
+  const { metadata, info, data, warnings } = readPatPage(await page.content(), config);
+  result.metadata = createPatMetadata({ ...metadata, code });
+  result.info = info;
+  result.data = data;
+  result.warnings = warnings;
+  
+  const rowWarnings = data.reduce((count, row) => count + row.warnings.length, warnings.length);
+  if (rowWarnings > 0) {
+    log.warning(`PAT table of code ${code} has ${rowWarnings} warning(s), affected values are null`);
+  }
+  
+  log.info(`Extracted ${result.data.length} data rows and metadata for code: ${code}`);
+  
+  // STEP 3: Save results
+  currentStep++;
+  logStep({ step: "Save results to dataset", current: currentStep, total: totalSteps, log });
+  
+  await sendBatchProgressUpdate({
+    runId,
+    batch,
+    code,
+    step: currentStep,
+    steps: totalSteps,
+    description: "Save results to dataset",
+    log
+  });
+  
+  // Flat CSV and XLSX workbook for Excel users, a failed export does not fail the code
+  timer.start("Export PAT");
+  try {
+    result.exports = await exportTable({ codeType, code, table: patToTable(result) });
+    log.info(`Exported PAT of ${code}: ${result.exports.csv.key}, ${result.exports.xlsx.key}`);
+  } catch (error) {
+    log.warning(`Could not export PAT of ${code}: ${error.message}`);
+    result.exports = { error: error.message };
+  }
+  
+  // Version the PAT and compare it with the last version of the code
+  timer.start("Store PAT snapshot");
+  const { snapshot, diff } = await recordSnapshot({ codeType, code, pat: result, storeName: snapshots.storeName });
+  result.snapshot = snapshot;
+  result.diff = diff;
+  
+  if (!diff) {
+    log.info(`Stored first PAT snapshot of ${code} (version ${snapshot.version})`);
+  } else if (diff.hasChanges) {
+    log.info(`PAT of ${code} changed since version ${snapshot.previousVersion}: ${diff.values.length} value(s), ${diff.addedDefinitions.length} added and ${diff.removedDefinitions.length} removed definition(s), ${diff.metadata.length} metadata field(s)`);
+  } else {
+    log.info(`PAT of ${code} unchanged since version ${snapshot.version}`);
+  }
+  
+  result.timings = timer.summary();
+  
+  return result;
 }
@@ -13,64 +13,134 @@
 import { Actor } from "apify";
 import { PlaywrightCrawler } from "crawlee";
 import { router } from "./routes.js";
-import { getConfig, isValidCodeType } from "./config.js";
-import { sendProgressUpdate, sendErrorUpdate } from "./utils/progressUtils.js";
+import { RUN_MODES, getConfig, getPlatformKey, getValidCodeTypes, isValidCodeType } from "./config.js";
+import { sendProgressUpdate, sendErrorUpdate, initProgressClient, flushProgressOutbox } from "./utils/progressUtils.js";
+import { createBatch, recordItemResult, buildRunSummary } from "./utils/summaryUtils.js";
+import { parseDateInput } from "./utils/dateUtils.js";
+import { DEFAULT_SYNC_STORE_NAME } from "./utils/syncUtils.js";
+import { DEFAULT_SNAPSHOT_STORE_NAME } from "./utils/snapshotUtils.js";
+import { runComparison } from "./utils/compareUtils.js";
+import { DEFAULT_LANGUAGES } from "./handlers/hrCockpitHandler.js";
+import { normalizeReportSelection, describeReportSelection, requireReport } from "./utils/reportSelection.js";
 import { logWithContext } from "./utils/loggingUtils.js";
 
 // Initialize the Apify SDK
 await Actor.init();
 
+// Declared outside the try block so the error handler can still report failures
+let runId;
+
 try {
   // Get input parameters
   const input = await Actor.getInput();
-  const { code, codeType, internalRunId } = input;
-  
-  // Validate required parameters
-  if (!code) {
-    throw new Error("Missing required parameter: 'code'");
+  const { internalRunId, mode = 'download' } = input;
+
+  if (!RUN_MODES.includes(mode)) {
+    throw new Error(`Invalid mode: '${mode}'. Valid modes: ${RUN_MODES.join(', ')}`);
   }
-  
-  if (!codeType) {
-    throw new Error("Missing required parameter: 'codeType'. Valid types: HR_COCKPIT, HR_COCKPIT_SOLL, PROFILING_VALUES, PROFILING_VALUES_SOLL");
+
+  // Discover mode only reports what exists, it writes nothing to the key-value store
+  const persist = mode !== 'discover';
+
+  // Restore the progress sequence and re-send terminal updates a previous instance could not deliver
+  await initProgressClient({ persist, log: console });
+
+  // Accept 'items' ({ code, codeType } pairs) or 'code'/'codes' with a single 'codeType'
+  // Listing and sync mode work on whole code types and need no codes
+  // Compare mode works on one PAT code and one candidate code
+  const listsCodeTypes = mode === 'list' || mode === 'sync';
+  const compare = mode === 'compare' ? normalizeCompare(input) : null;
+  const items = compare ? compare.items : listsCodeTypes ? normalizeListingItems(input) : normalizeItems(input);
+
+  // Validate required parameters
+  if (items.length === 0) {
+    throw new Error(listsCodeTypes
+      ? "Missing required parameter: 'codeType' or 'codeTypes'"
+      : "Missing required parameter: 'code', 'codes' or 'items'");
   }
-  
-  if (!isValidCodeType(codeType)) {
-    throw new Error(`Invalid codeType: '${codeType}'. Valid types: HR_COCKPIT, HR_COCKPIT_SOLL, PROFILING_VALUES, PROFILING_VALUES_SOLL`);
+
+  for (const { code, codeType } of items) {
+    if (!codeType) {
+      throw new Error(`Missing required parameter: 'codeType' for code '${code}'. Valid types: ${getValidCodeTypes().join(', ')}`);
+    }
+
+    if (!isValidCodeType(codeType)) {
+      throw new Error(`Invalid codeType: '${codeType}'. Valid types: ${getValidCodeTypes().join(', ')}`);
+    }
+
+    if (listsCodeTypes && !getConfig(codeType).supportsListing) {
+      throw new Error(`Mode '${mode}' is not supported for codeType '${codeType}'`);
+    }
   }
-  
-  // Get configuration for the specified code type
-  const config = getConfig(codeType);
-  
+
+  // Optional completion date range for listing mode
+  const listing = {
+    dateFrom: parseDateInput(input.dateFrom),
+    dateTo: parseDateInput(input.dateTo, { endOfDay: true })
+  };
+
+  // Sync mode: watermark store, 'dateFrom' bounds the first sync of a code type
+  const sync = {
+    storeName: input.syncStoreName || DEFAULT_SYNC_STORE_NAME,
+    since: listing.dateFrom
+  };
+
+  // PAT snapshots: every extracted PAT is versioned per code and compared with its last version
+  const snapshots = {
+    storeName: input.snapshotStoreName || DEFAULT_SNAPSHOT_STORE_NAME
+  };
+
+  // Optional allow-list ('reports') and deny-list ('excludeReports') of report names
+  // Compare mode needs the JSON-Report, without a 'reports' list it is the only report downloaded
+  const reportSelection = compare
+    ? requireReport(normalizeReportSelection(input), compare.reportName)
+    : normalizeReportSelection(input);
+
+  // Report languages for HR Cockpit, e.g. ["DE", "FR"]
+  const languages = normalizeLanguages(input);
+
   // Use internalRunId (Supabase UUID) for progress tracking
   // This is the primary identifier for all database operations
-  const runId = internalRunId;
-  
+  runId = internalRunId;
+
   if (!runId) {
     throw new Error("Missing required parameter: 'internalRunId' (Supabase UUID)");
   }
-  
+
+  // Group the items by platform, each platform gets one logged-in browser context
+  const itemsByPlatform = new Map();
+  for (const item of items) {
+    const platformKey = getPlatformKey(item.codeType);
+    if (!itemsByPlatform.has(platformKey)) {
+      itemsByPlatform.set(platformKey, []);
+    }
+    itemsByPlatform.get(platformKey).push(item);
+  }
+
   // Log startup information
   console.log(`Starting unified scraper actor`);
-  console.log(`Code: ${code}`);
-  console.log(`Code Type: ${codeType}`);
-  console.log(`Configuration: ${config.name}`);
+  console.log(`Items (${items.length}): ${items.map(item => `${item.code} (${item.codeType})`).join(', ')}`);
+  console.log(`Platforms: ${[...itemsByPlatform.keys()].join(', ')}`);
+  console.log(`Mode: ${mode}`);
+  console.log(`Reports: ${describeReportSelection(reportSelection)}`);
+  console.log(`Languages: ${languages.join(', ')}`);
   console.log(`Supabase UUID: ${internalRunId}`);
   console.log(`Using UUID for all operations: ${runId}`);
-  
+
   // Send initial progress update to web UI
   if (runId) {
     await sendProgressUpdate({
       runId,
       done: 0,
-      total: 1, // Will be updated with actual total
+      total: items.length,
       status: 'STARTING',
       log: console
     });
   }
-  
+
   // Create proxy configuration (matches legacy actors)
   const proxyConfiguration = await Actor.createProxyConfiguration();
-  
+
   // Set up crawler with configuration (matches legacy actors)
   const crawler = new PlaywrightCrawler({
     proxyConfiguration,
@@ -78,88 +148,131 @@ try {
     maxRequestRetries: 3,
     requestHandler: router,
     headless: false, // Match legacy actors (headless: false)
-    
+
     // Launch options (simplified to match legacy)
     launchContext: {
+      // Separate browser context per request, so every platform keeps its own session
+      useIncognitoPages: true,
       launchOptions: {
         args: [
           "--disable-gpu", // Mitigates the "crashing GPU process" issue in Docker containers
         ],
       },
     },
-    
+
     // Navigation timeout
     navigationTimeoutSecs: 120,
-    
+
+    // Crawler statistics and session pool state are kept in memory in discover mode
+    statisticsOptions: { persistenceOptions: { enable: persist } },
+    sessionPoolOptions: { persistenceOptions: { enable: persist } },
+
     // Error handling
+    // Only the items are recorded here, the other platforms may still be running;
+    // the single terminal update (COMPLETED or FAILED) is sent after the crawler finished
     failedRequestHandler: async ({ request, error, log }) => {
       log.error(`Request ${request.url} failed: ${error.message}`);
-      
-      // Send error update to web UI
-      if (runId) {
-        await sendErrorUpdate({
-          runId,
+
+      // Record every item of the platform the handlers did not get to
+      const { batch } = crawler;
+      for (const { code, codeType } of request.userData.items) {
+        const processed = batch.results.some(r => r.code === code && r.codeType === codeType);
+        if (processed) {
+          continue;
+        }
+
+        await Actor.pushData({
+          url: request.url,
           error: error.message,
-          log
+          code,
+          codeType,
+          runId
         });
+        recordItemResult(batch, { code, codeType, error });
       }
-      
-      // Push error data
-      await Actor.pushData({
-        url: request.url,
-        error: error.message,
-        code,
-        codeType,
-        runId
-      });
     },
   });
-  
+
   // Attach context to crawler (avoid config object to prevent type errors)
-  crawler.code = code;
-  crawler.codeType = codeType;
   crawler.runId = runId;
-  
-  // Store config separately for handlers to access
-  crawler.actorConfig = config;
-  
-  // Set start URLs based on configuration
-  const startUrls = [config.baseUrl];
-  
+  crawler.mode = mode;
+  crawler.listing = listing;
+  crawler.sync = sync;
+  crawler.snapshots = snapshots;
+  crawler.reportSelection = reportSelection;
+  crawler.languages = languages;
+
+  // Shared batch state, updated by the handlers after each item
+  crawler.batch = createBatch(items);
+
+  // One start request per platform, the items travel in the user data
+  const startRequests = [...itemsByPlatform].map(([platformKey, platformItems]) => ({
+    url: getConfig(platformItems[0].codeType).baseUrl,
+    uniqueKey: platformKey,
+    userData: { platformKey, items: platformItems }
+  }));
+
   // Log configuration validation
-  logWithContext({
-    level: 'info',
-    message: 'Configuration loaded successfully',
-    context: {
-      code,
-      codeType,
-      baseUrl: config.baseUrl,
-      navigationPath: config.navigationPath,
-      fileTypes: config.fileTypes
-    },
-    log: console
-  });
-  
+  for (const [platformKey, platformItems] of itemsByPlatform) {
+    const codeTypes = [...new Set(platformItems.map(item => item.codeType))];
+    logWithContext({
+      level: 'info',
+      message: 'Configuration loaded successfully',
+      context: {
+        platformKey,
+        codes: platformItems.map(item => item.code),
+        codeTypes,
+        baseUrl: getConfig(codeTypes[0]).baseUrl,
+        navigationPaths: codeTypes.map(codeType => getConfig(codeType).navigationPath)
+      },
+      log: console
+    });
+  }
+
   // Run the crawler
-  console.log(`Starting crawler for ${config.name}...`);
-  await crawler.run(startUrls);
-  
+  console.log(`Starting crawler for ${startRequests.length} platform(s)...`);
+  await crawler.run(startRequests);
+
+  // Compare mode: rate the candidate's scores against the PAT bands
+  const comparison = compare ? await runComparison({ compare, log: console }) : null;
+
+  // Store the combined summary of all platforms
+  const { batch } = crawler;
+  const summary = buildRunSummary(batch);
+  if (persist) {
+    await Actor.setValue('OUTPUT', summary);
+  }
+  console.log(`Run finished: ${batch.succeeded} succeeded, ${batch.failed} failed, ${batch.total} total`);
+
+  if (batch.fatalError) {
+    throw new Error(`Run failed: ${batch.fatalError}`);
+  }
+
+  if (comparison?.error) {
+    throw new Error(`Comparison failed: ${comparison.error}`);
+  }
+
+  if (batch.succeeded === 0) {
+    throw new Error(`None of the ${batch.total} item(s) could be processed`);
+  }
+
   // Send completion update to web UI
   if (runId) {
     await sendProgressUpdate({
       runId,
-      done: 1,
-      total: 1,
+      done: batch.total,
+      total: batch.total,
       status: 'COMPLETED',
+      description: batch.failed > 0 ? `Completed with ${batch.failed} failed item(s)` : 'Completed',
       log: console
     });
   }
-  
+
   console.log("Crawler finished successfully");
-  
+
 } catch (error) {
   console.error(`Actor failed: ${error.message}`);
-  
+
   // Send error update to web UI
   if (runId) {
     await sendErrorUpdate({
@@ -168,17 +281,115 @@ try {
       log: console
     });
   }
-  
+
   // Push error data
   await Actor.pushData({
     error: error.message,
     stack: error.stack,
     runId: runId
   });
-  
-  // Exit with error
+
+  // Exit with error, after a last attempt to deliver the terminal updates
+  await flushProgressOutbox({ log: console });
   await Actor.exit(1);
 }
 
-// Exit successfully
+// Exit successfully, after a last attempt to deliver the terminal updates
+await flushProgressOutbox({ log: console });
 await Actor.exit();
+
+/**
+ * Build the list of items to process from the actor input
+ * Supports 'items' ({ code, codeType } pairs) as well as the legacy 'code'
+ * and the 'codes' array combined with a single 'codeType'
+ * @param {Object} input - Actor input
+ * @returns {Object[]} - De-duplicated list of { code, codeType } items
+ */
+function normalizeItems(input) {
+  const rawItems = Array.isArray(input.items) ? [...input.items] : [];
+
+  const rawCodes = Array.isArray(input.codes) ? [...input.codes] : [];
+  if (input.code) {
+    rawCodes.unshift(input.code);
+  }
+  rawItems.push(...rawCodes.map((code) => ({ code, codeType: input.codeType })));
+
+  const items = [];
+  const seen = new Set();
+
+  for (const item of rawItems) {
+    const code = String(item?.code ?? '').trim();
+    const codeType = item?.codeType;
+    const key = `${codeType}:${code}`;
+
+    if (code.length === 0 || seen.has(key)) {
+      continue;
+    }
+
+    seen.add(key);
+    items.push({ code, codeType });
+  }
+
+  return items;
+}
+
+/**
+ * Build the list of items for listing and sync mode from the actor input
+ * Every code type is listed once, no codes are needed
+ * @param {Object} input - Actor input
+ * @returns {Object[]} - List of { code: null, codeType } items
+ */
+function normalizeListingItems(input) {
+  const codeTypes = Array.isArray(input.codeTypes) ? [...input.codeTypes] : [];
+  if (input.codeType) {
+    codeTypes.unshift(input.codeType);
+  }
+
+  return [...new Set(codeTypes)].map((codeType) => ({ code: null, codeType }));
+}
+
+/**
+ * Build the compare settings from the actor input
+ * @param {Object} input - Actor input ('patCode' and 'candidateCode')
+ * @returns {Object} - { items, patCode, patCodeType, candidateCode, candidateCodeType, dimensions, reportName }
+ */
+function normalizeCompare(input) {
+  const patCode = String(input.patCode ?? '').trim();
+  const candidateCode = String(input.candidateCode ?? '').trim();
+
+  if (!patCode || !candidateCode) {
+    throw new Error("Missing required parameter: compare mode needs 'patCode' and 'candidateCode'");
+  }
+
+  const patCodeType = "PROFILING_VALUES_SOLL";
+  const candidateCodeType = "PROFILING_VALUES";
+
+  return {
+    items: [{ code: patCode, codeType: patCodeType }, { code: candidateCode, codeType: candidateCodeType }],
+    patCode,
+    patCodeType,
+    candidateCode,
+    candidateCodeType,
+    // The PAT dimension labels also name the dimensions of the JSON-Report
+    dimensions: getConfig(patCodeType).patTable.dimensions,
+    reportName: getConfig(candidateCodeType).jsonReport.name
+  };
+}
+
+/**
+ * Build the list of report languages from the actor input
+ * @param {Object} input - Actor input
+ * @returns {string[]} - De-duplicated, upper case language codes (default ["DE"])
+ */
+function normalizeLanguages(input) {
+  if (input.languages === undefined || input.languages === null) {
+    return DEFAULT_LANGUAGES;
+  }
+
+  if (!Array.isArray(input.languages) || input.languages.some((language) => !/^\s*[a-z]{2}\s*$/i.test(language))) {
+    throw new Error(`Invalid parameter: 'languages' must be a list of two-letter language codes, e.g. ["DE", "FR", "EN"]`);
+  }
+
+  const languages = [...new Set(input.languages.map((language) => language.trim().toUpperCase()))];
+  return languages.length > 0 ? languages : DEFAULT_LANGUAGES;
+}
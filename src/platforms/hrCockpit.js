@@ -0,0 +1,22 @@
+/**
+ * HR Cockpit - Standard
+ * Reports of the completed "Persönlichkeitsanalyse Skills" tests
+ */
+
+import { handleHRCockpit } from "../handlers/hrCockpitHandler.js";
+import { HR_COCKPIT_CONFIG, HR_COCKPIT_SECRETS } from "./shared/hrCockpit.js";
+
+export const codeType = "HR_COCKPIT";
+
+export const config = {
+  ...HR_COCKPIT_CONFIG,
+  name: "HR Cockpit - Standard",
+  navigationPath: "Outvision: Persönlichkeitsanalyse Skills"
+};
+
+export const handler = handleHRCockpit;
+
+export const inputSchema = {
+  title: config.name,
+  secrets: HR_COCKPIT_SECRETS
+};
@@ -0,0 +1,60 @@
+/**
+ * HR Cockpit - Soll Profile
+ * Reports of the completed "SKILLS Soll-Profile" tests and the target profile in the PAT shape,
+ * read from the profile view of the test
+ */
+
+import { handleHRCockpit } from "../handlers/hrCockpitHandler.js";
+import { HR_COCKPIT_CONFIG, HR_COCKPIT_SECRETS } from "./shared/hrCockpit.js";
+
+export const codeType = "HR_COCKPIT_SOLL";
+
+export const config = {
+  ...HR_COCKPIT_CONFIG,
+  name: "HR Cockpit - Soll Profile",
+  navigationPath: "Outvision: SKILLS Soll-Profile",
+  // Target profile in the PAT shape, read from the profile view of the code's row (see utils/patUtils.js)
+  sollProfile: {
+    patType: "HR Cockpit Soll-Profil",
+    // From the completed tests view to the profile of the code
+    flow: [
+      { action: "waitFor", selector: "table", description: "Wait for the completed tests table" },
+      { action: "findRow", table: "table", column: { header: ["Code"], index: 0 }, value: "{{code}}", as: "row" },
+      { action: "click", selector: '{{row}} a:has-text("Profil"), {{row}} a[title*="Profil"]', description: "Open the Soll profile", waitUntil: "domcontentloaded" },
+      { action: "waitFor", selector: 'table:has(td:has-text("Können"))', description: "Wait for the Soll profile table" }
+    ],
+    // Label/value rows around the profile table, every pair is kept in 'info', these labels fill the metadata keys
+    patInfo: {
+      selector: "#content table tr",
+      fields: {
+        key: ["UID", "Schlüssel"],
+        created: ["Erstellt", "Erstellt am", "Abgeschlossen", "Abgeschlossen am"],
+        company: ["Firma"],
+        industry: ["Branche"],
+        role: ["Funktion", "Stelle"],
+        modified: ["Geändert", "Geändert am"]
+      }
+    },
+    // Profile table: the innermost table with Können rows, columns by header label (index if no header matches)
+    patTable: {
+      selector: 'table:has(td:contains("Können")):not(:has(table))',
+      columns: {
+        definition: { header: ["Definition", "Kompetenz", "Skala", "Merkmal"], index: 0 },
+        dimension: { header: ["Dimension", "Typ", "Art"], index: 1 },
+        min: { header: ["Min", "Minimum"], index: 2 },
+        max: { header: ["Max", "Maximum"], index: 3 },
+        mitte: { header: ["Mitte", "Soll", "Ziel"], index: 4 }
+      },
+      dimensions: { koennen: ["Können", "Koennen"], wollen: ["Wollen"] },
+      // Values outside the scale are reported instead of stored
+      range: { min: 0, max: 10 }
+    }
+  }
+};
+
+export const handler = handleHRCockpit;
+
+export const inputSchema = {
+  title: config.name,
+  secrets: HR_COCKPIT_SECRETS
+};
@@ -0,0 +1,51 @@
+/**
+ * Profiling Values - Reports
+ * PDF and JSON reports listed in the report box of a code
+ */
+
+import { handleProfilingValues } from "../handlers/profilingValuesHandler.js";
+import { PROFILING_VALUES_CONFIG, PROFILING_VALUES_SEARCH_FLOW, PROFILING_VALUES_SECRETS } from "./shared/profilingValues.js";
+import { PROFILING_VALUES_JSON_REPORT } from "./shared/profilingValuesJsonReport.js";
+
+export const codeType = "PROFILING_VALUES";
+
+export const config = {
+  ...PROFILING_VALUES_CONFIG,
+  name: "Profiling Values - Reports",
+  navigationPath: "default",
+  fileTypes: ["all_reports"],
+  flows: {
+    search: PROFILING_VALUES_SEARCH_FLOW,
+    findCode: [
+      // The code may be on a later page, findRow walks through the pages
+      { action: "waitFor", selector: 'td:has-text("{{code}}")', timeout: 60000, optional: true },
+      { action: "findRow", table: "table:has(i[title=PDF-Report])", column: { header: ["Code"], index: 0 }, value: "{{code}}", as: "row" }
+    ],
+    openReports: [
+      { action: "click", selector: "{{row}} i[title=PDF-Report]" },
+      { action: "waitFor", selector: "#report_box", state: "visible", timeout: 60000 }
+    ]
+  },
+  // Fetch the reports with HTTP requests of the session instead of clicking their buttons,
+  // reports that fail are downloaded by click (see utils/downloadUtils.js)
+  directDownload: {
+    enabled: true,
+    concurrency: 3
+  },
+  // Validated against its schema versions and normalized into the 'jsonReport' field of the record
+  jsonReport: PROFILING_VALUES_JSON_REPORT,
+  supportsListing: true,
+  reportListTable: "table:has(i[title=PDF-Report])",
+  reportListColumns: {
+    code: { header: ["Code"], index: 0 },
+    name: { header: ["Name"], index: 1 },
+    date: { header: ["Datum", "Abgeschlossen"], index: 2 }
+  }
+};
+
+export const handler = handleProfilingValues;
+
+export const inputSchema = {
+  title: config.name,
+  secrets: PROFILING_VALUES_SECRETS
+};
@@ -0,0 +1,66 @@
+/**
+ * Profiling Values - PAT Data
+ * Metadata and definitions of a PAT (Soll profile), no files are downloaded
+ */
+
+import { handleProfilingValuesSoll } from "../handlers/profilingValuesSollHandler.js";
+import { PROFILING_VALUES_CONFIG, PROFILING_VALUES_SEARCH_FLOW, PROFILING_VALUES_SECRETS } from "./shared/profilingValues.js";
+
+export const codeType = "PROFILING_VALUES_SOLL";
+
+export const config = {
+  ...PROFILING_VALUES_CONFIG,
+  name: "Profiling Values - PAT Data",
+  navigationPath: "PAT-Verwaltung",
+  fileTypes: ["metadata_only"],
+  // PAT info table: every label/value pair is kept in 'info', these labels fill the metadata keys
+  patInfo: {
+    selector: "#pat_container table:not(#pat_table) tr",
+    fields: {
+      key: ["Schlüssel"],
+      created: ["Erstellt", "Erstellt am"],
+      pat_type: ["PAT-Typ"],
+      company: ["Firma"],
+      industry: ["Branche"],
+      role: ["Funktion"],
+      modified: ["Geändert", "Geändert am"]
+    }
+  },
+  // PAT table: columns by header label (index if no header matches), one Können and one Wollen row per definition
+  patTable: {
+    selector: "#pat_table",
+    columns: {
+      definition: { header: ["Definition", "Kompetenz", "Merkmal", "Bezeichnung"], index: 0 },
+      dimension: { header: ["Dimension", "Typ", "Art"], index: 1 },
+      min: { header: ["Min", "Minimum"], index: 2 },
+      max: { header: ["Max", "Maximum"], index: 3 },
+      mitte: { header: ["Mitte", "Soll", "Ziel"], index: 4 }
+    },
+    dimensions: { koennen: ["Können", "Koennen"], wollen: ["Wollen"] },
+    // Values outside the scale are reported instead of stored
+    range: { min: 0, max: 10 }
+  },
+  flows: {
+    navigate: [
+      { action: "click", selector: 'a:has-text("{{navigationPath}}")', description: "Navigate to PAT administration" },
+      { action: "waitFor", selector: "input[name=filter_text]", state: "visible" }
+    ],
+    search: PROFILING_VALUES_SEARCH_FLOW,
+    findCode: [
+      // The code may be on a later page, findRow walks through the pages
+      { action: "waitFor", selector: 'tr:has-text("{{code}}") i[title=Anzeigen]', timeout: 30000, optional: true },
+      { action: "findRow", table: "table:has(i[title=Anzeigen])", column: { header: ["Code"] }, value: "{{code}}", as: "row" }
+    ],
+    openProfile: [
+      { action: "click", selector: "{{row}} i[title=Anzeigen]" },
+      { action: "waitFor", selector: "#pat_container", state: "visible" }
+    ]
+  }
+};
+
+export const handler = handleProfilingValuesSoll;
+
+export const inputSchema = {
+  title: config.name,
+  secrets: PROFILING_VALUES_SECRETS
+};
@@ -0,0 +1,111 @@
+/**
+ * Settings shared by the HR Cockpit code types
+ * Both code types run on the same platform and only differ in the group they read
+ */
+
+/**
+ * From the start page to the completed tests of the group
+ * Clicks wait for their target link, the last steps wait until the completed tests are loaded
+ */
+const HR_COCKPIT_FLOWS = {
+  navigate: [
+    { action: "click", selector: '#nav-menu ul li a:has-text("Gruppen verwalten")', description: "Navigate to administration area", waitUntil: "domcontentloaded" },
+    { action: "click", selector: 'a:has-text("{{navigationPath}}")', description: "Navigate to {{navigationPath}}", waitUntil: "domcontentloaded" },
+    { action: "click", selector: 'a:has-text("Abgeschlossene Tests ansehen")', description: "Navigate to completed tests" },
+    { action: "waitFor", url: /a=view_completetests/, description: "Wait for the completed tests view", waitUntil: "networkidle" },
+    { action: "waitFor", selector: "table", description: "Wait for the completed tests table" }
+  ]
+};
+
+/**
+ * Additional reports downloaded per code, starting on the completed tests view
+ */
+const HR_COCKPIT_REPORT_FLOWS = [
+  {
+    name: "Evaluate-daten",
+    contentType: "text/csv",
+    // Parsed into the 'evaluation' field of the dataset record (see utils/csvUtils.js)
+    parse: {
+      format: "csv",
+      as: "evaluation",
+      identifierColumns: {
+        uid: ["UID"],
+        code: ["Code"],
+        lastName: ["Name", "Nachname"],
+        firstName: ["Vorname"],
+        email: ["E-Mail", "Email"],
+        completedAt: ["Datum", "Abgeschlossen", "Abgeschlossen am"]
+      },
+      scaleColumn: ["Skala", "Dimension", "Kompetenz"],
+      scoreColumn: ["Wert", "Score", "Punkte", "Ergebnis"],
+      dateFields: ["completedAt"]
+    },
+    steps: [
+      { action: "findRow", table: "table", column: { header: ["Code"], index: 0 }, value: "{{code}}", as: "row" },
+      { action: "extract", selector: "{{row}} td", nth: 1, as: "uid" },
+      { action: "goto", url: "{{url}}", replace: { from: "a=view_completetests", to: "a=create_new_report" }, waitUntil: "networkidle" },
+      // The UID filter reloads the candidate list, the export must only be submitted once it arrived
+      { action: "fill", selector: "#filter_uid", value: "{{uid}}", waitForResponse: true },
+      { action: "click", selector: "input[type=checkbox][name=output_eval_csv]" },
+      {
+        action: "popup",
+        trigger: { action: "click", selector: "input[type=submit]" },
+        steps: [
+          { action: "download", selector: "#content ul li a", as: "Evaluate-daten" }
+        ]
+      }
+    ]
+  }
+];
+
+/**
+ * Report types of the completed tests table
+ * Links are matched by the header of their column ('header'), then by their
+ * title and URL ('context', defaults to 'header'). 'extensions' are the file
+ * types expected for the download.
+ */
+const HR_COCKPIT_REPORT_TYPES = [
+  { name: "Standard-Report", header: ["Standard"], extensions: ["pdf"] },
+  { name: "Assessment-Report", header: ["Assessment"], extensions: ["pdf"] },
+  { name: "PPT-Report", header: ["PPT", "PowerPoint"], extensions: ["pptx", "ppt"] }
+];
+
+export const HR_COCKPIT_CONFIG = {
+  baseUrl: "https://wle2.constant-dialog.ch/admin.php",
+  fileTypes: HR_COCKPIT_REPORT_TYPES.map((type) => type.name),
+  reportTypes: HR_COCKPIT_REPORT_TYPES,
+  supportsListing: true,
+  flows: HR_COCKPIT_FLOWS,
+  reportFlows: HR_COCKPIT_REPORT_FLOWS,
+  completedTestsTable: "table",
+  completedTestsColumns: {
+    code: { header: ["Code"], index: 0 },
+    uid: { header: ["UID"], index: 1 },
+    name: { header: ["Name"], index: 2 },
+    date: { header: ["Datum", "Abgeschlossen"], index: 3 }
+  },
+  loginSelector: {
+    user: "input[name=user]",
+    password: "input[name=password]",
+    submit: "input[value=Login]",
+    success: "#nav-menu"
+  },
+  envCredentials: {
+    user: "HR_COCKPIT_USER",
+    password: "HR_COCKPIT_PASSWORD"
+  }
+};
+
+export const HR_COCKPIT_SECRETS = {
+  HR_COCKPIT_USER: {
+    title: "HR Cockpit Username",
+    type: "string",
+    description: "Username for HR Cockpit system"
+  },
+  HR_COCKPIT_PASSWORD: {
+    title: "HR Cockpit Password",
+    type: "string",
+    description: "Password for HR Cockpit system",
+    isSecret: true
+  }
+};
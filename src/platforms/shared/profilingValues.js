@@ -0,0 +1,41 @@
+/**
+ * Settings shared by the Profiling Values code types
+ * Both code types run on the same back office and use the same login and list filter
+ */
+
+/**
+ * Filter a list (reports or PAT) by code
+ */
+export const PROFILING_VALUES_SEARCH_FLOW = [
+  { action: "waitFor", selector: "input[name=filter_text]", state: "visible", timeout: 60000 },
+  { action: "fill", selector: "input[name=filter_text]", value: "{{code}}" },
+  { action: "press", key: "Enter" }
+];
+
+export const PROFILING_VALUES_CONFIG = {
+  baseUrl: "https://backoffice.profilingvalues.com/login.html",
+  loginSelector: {
+    user: "input#loginname",
+    password: "input[name=password]",
+    submit: "button#button_10",
+    success: "input[name=filter_text]"
+  },
+  envCredentials: {
+    user: "PROFILING_VALUES_USER",
+    password: "PROFILING_VALUES_PASSWORD"
+  }
+};
+
+export const PROFILING_VALUES_SECRETS = {
+  PROFILING_VALUES_USER: {
+    title: "Profiling Values Username",
+    type: "string",
+    description: "Username for Profiling Values system"
+  },
+  PROFILING_VALUES_PASSWORD: {
+    title: "Profiling Values Password",
+    type: "string",
+    description: "Password for Profiling Values system",
+    isSecret: true
+  }
+};
@@ -0,0 +1,111 @@
+/**
+ * Versioned schemas of the Profiling Values JSON-Report ('action=downloadJSON')
+ * Every version validates the raw report and maps it to the normalized record:
+ *   { candidate: { code, firstName, lastName, gender, birthYear, language },
+ *     completedAt, normGroup: { id, name },
+ *     dimensions: [{ id, name }],
+ *     scores: [{ dimension, scale, name, raw, value }] }
+ * A report that fits no schema fails the run with a SchemaDriftError. When the vendor
+ * changes the format, add a new version here instead of loosening an existing one, together
+ * with an anonymized sample of the report in test/fixtures/json-report/ that it is tested against.
+ */
+
+import { parseSwissDate } from "../../utils/dateUtils.js";
+
+const nullableString = { type: ["string", "null"] };
+const nullableNumber = { type: ["number", "null"] };
+
+/**
+ * Version 1: person, test, norm and dimensions with their scales
+ */
+const VERSION_1 = {
+  version: "1",
+  schema: {
+    type: "object",
+    required: ["person", "test", "norm", "dimensions"],
+    properties: {
+      person: {
+        type: "object",
+        required: ["code"],
+        properties: {
+          code: { type: "string" },
+          firstname: nullableString,
+          lastname: nullableString,
+          gender: nullableString,
+          birthyear: { type: ["integer", "string", "null"] },
+          language: nullableString
+        }
+      },
+      test: {
+        type: "object",
+        required: ["completed"],
+        properties: {
+          completed: nullableString
+        }
+      },
+      norm: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          id: { type: ["string", "integer", "null"] },
+          name: { type: "string" }
+        }
+      },
+      dimensions: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["id", "name", "scales"],
+          properties: {
+            id: { type: ["string", "integer"] },
+            name: { type: "string" },
+            scales: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["id", "name", "value"],
+                properties: {
+                  id: { type: ["string", "integer"] },
+                  name: { type: "string" },
+                  raw: nullableNumber,
+                  value: nullableNumber
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  normalize: (report) => ({
+    candidate: {
+      code: report.person.code,
+      firstName: report.person.firstname ?? null,
+      lastName: report.person.lastname ?? null,
+      gender: report.person.gender ?? null,
+      birthYear: report.person.birthyear === undefined || report.person.birthyear === null ? null : Number(report.person.birthyear),
+      language: report.person.language ? report.person.language.toUpperCase() : null
+    },
+    completedAt: parseSwissDate(report.test.completed)?.toISOString() ?? null,
+    normGroup: {
+      id: report.norm.id === undefined || report.norm.id === null ? null : String(report.norm.id),
+      name: report.norm.name
+    },
+    dimensions: report.dimensions.map((dimension) => ({ id: String(dimension.id), name: dimension.name })),
+    scores: report.dimensions.flatMap((dimension) => dimension.scales.map((scale) => ({
+      dimension: String(dimension.id),
+      scale: String(scale.id),
+      name: scale.name,
+      raw: scale.raw ?? null,
+      value: scale.value
+    })))
+  })
+};
+
+export const PROFILING_VALUES_JSON_REPORT = {
+  name: "JSON-Report",
+  // Reports that declare their version; reports without one are checked against every version
+  versionPath: "meta.version",
+  schemas: [VERSION_1]
+};
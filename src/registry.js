@@ -0,0 +1,95 @@
+/**
+ * Platform registry for the unified scraper actor
+ * Loads every module in src/platforms/ (shared helpers in subdirectories are skipped).
+ * A platform module supports one code type and exports:
+ * - codeType:    the code type, e.g. "HR_COCKPIT"
+ * - config:      settings of the code type (name, baseUrl, loginSelector, envCredentials, flows, ...)
+ * - handler:     async function processing the codes ({ page, crawler, log, codeType, config, codes })
+ * - inputSchema: input schema fragment ({ title, properties, secrets }) merged into .actor/actor.json
+ *
+ * Code types are registered in file name order, which is also the order of the input schema enum.
+ */
+
+import { readdir } from "node:fs/promises";
+
+const PLATFORMS_DIR = new URL("./platforms/", import.meta.url);
+
+const PLATFORMS = await loadPlatforms();
+
+/**
+ * Import and validate all platform modules
+ */
+async function loadPlatforms() {
+  const entries = await readdir(PLATFORMS_DIR, { withFileTypes: true });
+  const files = entries
+    .filter((entry) => entry.isFile() && entry.name.endsWith(".js"))
+    .map((entry) => entry.name)
+    .sort();
+
+  const platforms = new Map();
+
+  for (const file of files) {
+    const module = await import(new URL(file, PLATFORMS_DIR));
+    const { codeType, config, handler, inputSchema = {} } = module;
+
+    if (!codeType || !config || typeof handler !== "function") {
+      throw new Error(`Invalid platform module '${file}': 'codeType', 'config' and 'handler' must be exported`);
+    }
+    if (platforms.has(codeType)) {
+      throw new Error(`Duplicate code type '${codeType}' in platform module '${file}'`);
+    }
+    if (!config.name || !config.baseUrl || !config.loginSelector || !config.envCredentials) {
+      throw new Error(`Invalid config in platform module '${file}': 'name', 'baseUrl', 'loginSelector' and 'envCredentials' are required`);
+    }
+
+    platforms.set(codeType, { codeType, config, handler, inputSchema, file });
+  }
+
+  return platforms;
+}
+
+/**
+ * Validate that a code type is registered
+ * @param {string} codeType - The code type to validate
+ * @returns {boolean} - True if a platform module supports the code type
+ */
+export function isValidCodeType(codeType) {
+  return PLATFORMS.has(codeType);
+}
+
+/**
+ * Get all registered code types
+ * @returns {string[]} - Code types in registration order
+ */
+export function getValidCodeTypes() {
+  return [...PLATFORMS.keys()];
+}
+
+/**
+ * Get the platform module of a code type
+ * @param {string} codeType - The code type
+ * @returns {Object} - { codeType, config, handler, inputSchema, file }
+ */
+export function getPlatform(codeType) {
+  if (!isValidCodeType(codeType)) {
+    throw new Error(`Invalid codeType: '${codeType}'. Valid types: ${getValidCodeTypes().join(', ')}`);
+  }
+  return PLATFORMS.get(codeType);
+}
+
+/**
+ * Build the input schema parts contributed by the platform modules
+ * @returns {Object} - { enum, enumTitles, properties, secrets } for .actor/actor.json
+ */
+export function buildInputSchemaFragment() {
+  const fragment = { enum: [], enumTitles: [], properties: {}, secrets: {} };
+
+  for (const { codeType, config, inputSchema } of PLATFORMS.values()) {
+    fragment.enum.push(codeType);
+    fragment.enumTitles.push(inputSchema.title || config.name);
+    Object.assign(fragment.properties, inputSchema.properties);
+    Object.assign(fragment.secrets, inputSchema.secrets);
+  }
+
+  return fragment;
+}
@@ -1,69 +1,107 @@
 /**
  * Main router for the unified scraper actor
- * Dispatches requests to appropriate handlers based on code type
+ * Each request covers one platform: the router logs in once and dispatches
+ * the items of the platform to the appropriate handlers based on code type
  */
 
 import { createPlaywrightRouter, Dataset } from "crawlee";
-import { handleHRCockpit } from "./handlers/hrCockpitHandler.js";
-import { handleProfilingValues } from "./handlers/profilingValuesHandler.js";
-import { handleProfilingValuesSoll } from "./handlers/profilingValuesSollHandler.js";
+import { getConfig } from "./config.js";
+import { getPlatform } from "./registry.js";
+import { loginToPlatform } from "./utils/sessionUtils.js";
+import { sendProgressUpdate } from "./utils/progressUtils.js";
+import { recordItemResult } from "./utils/summaryUtils.js";
 import { logWithContext } from "./utils/loggingUtils.js";
 
 export const router = createPlaywrightRouter();
 
-router.addDefaultHandler(async ({ page, crawler, log }) => {
-  const { code, codeType, runId, actorConfig: config } = crawler;
-  
+router.addDefaultHandler(async ({ request, page, crawler, log }) => {
+  const { runId, batch } = crawler;
+  const { platformKey, items } = request.userData;
+
   log.info(`Starting unified scraper process`);
-  log.info(`Code: ${code}`);
-  log.info(`Code Type: ${codeType}`);
-  log.info(`Configuration: ${config.name}`);
-  
-  try {
-    // Route to appropriate handler based on code type
-    switch (codeType) {
-      case 'HR_COCKPIT':
-      case 'HR_COCKPIT_SOLL':
-        log.info(`Routing to HR Cockpit handler for ${codeType}`);
-        await handleHRCockpit({ page, crawler, log });
-        break;
-        
-      case 'PROFILING_VALUES':
-        log.info(`Routing to Profiling Values handler for ${codeType}`);
-        await handleProfilingValues({ page, crawler, log });
-        break;
-        
-      case 'PROFILING_VALUES_SOLL':
-        log.info(`Routing to Profiling Values Soll handler for ${codeType}`);
-        await handleProfilingValuesSoll({ page, crawler, log });
-        break;
-        
-      default:
-        throw new Error(`Unknown code type: ${codeType}`);
+  log.info(`Platform: ${platformKey}`);
+  log.info(`Items (${items.length}): ${items.map(item => `${item.code} (${item.codeType})`).join(', ')}`);
+
+  // Group the items by code type, keeping the input order
+  const codesByType = new Map();
+  for (const { code, codeType } of items) {
+    if (!codesByType.has(codeType)) {
+      codesByType.set(codeType, []);
+    }
+    codesByType.get(codeType).push(code);
+  }
+
+  // Log in once for all code types of this platform
+  const [firstCodeType] = codesByType.keys();
+
+  if (runId) {
+    try {
+      await sendProgressUpdate({
+        runId,
+        done: batch.done,
+        total: batch.total,
+        description: `Login to ${getConfig(firstCodeType).name}`,
+        log
+      });
+    } catch (progressError) {
+      log.info(`Progress update failed (non-critical): ${progressError.message}`);
+    }
+  }
+
+  const landingUrl = await loginToPlatform({ page, codeType: firstCodeType, config: getConfig(firstCodeType), log });
+
+  for (const [codeType, codes] of codesByType) {
+    const config = getConfig(codeType);
+
+    try {
+      // Every code type starts from the page shown right after the login
+      if (page.url() !== landingUrl) {
+        await page.goto(landingUrl);
+      }
+
+      await dispatch({ page, crawler, log, codeType, config, codes });
+
+      log.info(`Successfully completed processing for ${codes.length} code(s), type: ${codeType}`);
+
+    } catch (error) {
+      log.error(`Error processing codes ${codes.join(', ')} with type ${codeType}: ${error.message}`);
+
+      // Log error with context
+      logWithContext({
+        level: 'error',
+        message: `Processing failed for ${codeType}`,
+        context: {
+          codes,
+          codeType,
+          error: error.message,
+          stack: error.stack
+        },
+        log
+      });
+
+      // Mark the codes the handler did not get to as failed and continue with the next code type
+      const processed = new Set(batch.results.filter(r => r.codeType === codeType).map(r => r.code));
+      for (const code of codes.filter(c => !processed.has(c))) {
+        await Dataset.pushData({ code, codeType, error: error.message });
+        recordItemResult(batch, { code, codeType, error });
+      }
     }
-    
-    log.info(`Successfully completed processing for code: ${code}, type: ${codeType}`);
-    
-  } catch (error) {
-    log.error(`Error processing code ${code} with type ${codeType}: ${error.message}`);
-    
-    // Log error with context
-    logWithContext({
-      level: 'error',
-      message: `Processing failed for ${codeType}`,
-      context: {
-        code,
-        codeType,
-        error: error.message,
-        stack: error.stack
-      },
-      log
-    });
-    
-    throw error; // Re-throw to trigger error handling
   }
 });
 
+/**
+ * Route a group of codes to the handler registered for their code type
+ * @param {Object} params - Handler parameters (page, crawler, log, codeType, config, codes)
+ * @returns {Promise<void>}
+ */
+async function dispatch(params) {
+  const { codeType, log } = params;
+  const { handler, file } = getPlatform(codeType);
+
+  log.info(`Routing to ${handler.name || 'platform handler'} (${file}) for ${codeType}`);
+  await handler(params);
+}
+
 // Handler for detail pages (currently unused but kept for potential future use)
 router.addHandler("detail", async ({ request, page, log }) => {
   const title = await page.title();
@@ -0,0 +1,160 @@
+/**
+ * Compare utilities for the unified scraper actor
+ * Matches the scores of a candidate's JSON-Report (PROFILING_VALUES) against the
+ * min/max bands of a PAT (PROFILING_VALUES_SOLL). Both are scraped by their regular
+ * handlers first; the comparison reads their dataset records.
+ */
+
+import { Dataset } from "crawlee";
+import { buildPatRows, PAT_DIMENSIONS } from "./patUtils.js";
+
+/**
+ * Compare the candidate scores with the PAT bands
+ * Scores are assigned to a definition and dimension by their scale and dimension names
+ * (e.g. dimension "Wollen", scale "Führung"), definitions are matched without case and accents.
+ * Scores whose dimension name is missing or names no dimension are listed in 'unmatched.scales'.
+ * A score is 'inside' its band if min ≤ score ≤ max; the deviation is its distance to the
+ * nearest bound (negative below, positive above, 0 inside).
+ * @param {Object} params - Compare parameters
+ * @param {Object} params.pat - PAT ({ data: [{ definition, koennen, wollen }] })
+ * @param {Object} params.report - Normalized JSON-Report ({ dimensions: [{ id, name }], scores: [{ dimension, name, value }] })
+ * @param {Object} params.dimensions - Dimension to labels, e.g. { koennen: ["Können"], wollen: ["Wollen"] }
+ * @returns {Object} - { fitScore, dimensions: { koennen, wollen }, deviations, unmatched: { definitions, scales } }
+ */
+export function comparePatWithReport({ pat, report, dimensions }) {
+  const dimensionNames = new Map(report.dimensions.map((dimension) => [dimension.id, dimension.name]));
+  const { data: scoreRows, unmatched: unmatchedScales } = buildPatRows(
+    report.scores.map((score) => ({ scale: [dimensionNames.get(score.dimension), score.name].filter(Boolean).join(" "), score: score.value })),
+    // Scores carry no bound; a score without a known dimension name is unmatched, not taken for Können
+    { dimensions, bounds: {}, defaultDimension: null, defaultBound: "mitte" }
+  );
+  // Scale names differing only in case or accents belong to the same definition
+  const scoresByDefinition = new Map();
+  for (const row of scoreRows) {
+    const known = scoresByDefinition.get(definitionKey(row.definition));
+    if (!known) {
+      scoresByDefinition.set(definitionKey(row.definition), row);
+      continue;
+    }
+    for (const dimension of PAT_DIMENSIONS) {
+      known[dimension].mitte = known[dimension].mitte ?? row[dimension].mitte;
+    }
+  }
+
+  const patDefinitions = new Set(pat.data.map((row) => definitionKey(row.definition)));
+  const deviations = [];
+
+  for (const row of pat.data) {
+    const scores = scoresByDefinition.get(definitionKey(row.definition));
+    for (const dimension of PAT_DIMENSIONS) {
+      const { min, max, mitte } = row[dimension];
+      const score = scores?.[dimension].mitte ?? null;
+      deviations.push({ definition: row.definition, dimension, min, max, mitte, score, ...rateScore(score, min, max, mitte) });
+    }
+  }
+
+  const perDimension = Object.fromEntries(
+    PAT_DIMENSIONS.map((dimension) => [dimension, summarize(deviations.filter((entry) => entry.dimension === dimension))])
+  );
+
+  return {
+    fitScore: summarize(deviations).fitScore,
+    dimensions: perDimension,
+    deviations,
+    unmatched: {
+      definitions: pat.data.map((row) => row.definition).filter((definition) => !scoresByDefinition.has(definitionKey(definition))),
+      scales: [...unmatchedScales, ...[...scoresByDefinition.values()].map((row) => row.definition).filter((definition) => !patDefinitions.has(definitionKey(definition)))]
+    }
+  };
+}
+
+/**
+ * Compare the dataset records of a PAT code and a candidate code
+ * Pushes the comparison record (or an error record if a record or the JSON-Report is missing).
+ * @param {Object} params - Compare parameters
+ * @param {Object} params.compare - { patCode, patCodeType, candidateCode, candidateCodeType, dimensions }
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<Object>} - The pushed record ('error' set if the comparison failed)
+ */
+export async function runComparison({ compare, log }) {
+  const { patCode, patCodeType, candidateCode, candidateCodeType, dimensions } = compare;
+  const base = { mode: 'compare', patCode, candidateCode };
+
+  let record;
+  try {
+    const { items } = await (await Dataset.open()).getData();
+    const findRecord = (code, codeType) => items.filter((item) => item.code === code && item.codeType === codeType && !item.error && !item.mode).pop();
+
+    const pat = findRecord(patCode, patCodeType);
+    if (!pat?.data) {
+      throw new Error(`No PAT data for ${patCodeType} code ${patCode}`);
+    }
+    const candidate = findRecord(candidateCode, candidateCodeType);
+    if (!candidate?.jsonReport) {
+      throw new Error(`No JSON-Report for ${candidateCodeType} code ${candidateCode}`);
+    }
+
+    record = { ...base, ...comparePatWithReport({ pat, report: candidate.jsonReport, dimensions }) };
+    const { inside, rated } = Object.values(record.dimensions).reduce(
+      (total, dimension) => ({ inside: total.inside + dimension.inside, rated: total.rated + dimension.rated }),
+      { inside: 0, rated: 0 }
+    );
+    log.info(`Fit of ${candidateCode} to PAT ${patCode}: ${record.fitScore ?? 'n/a'}% (${inside} of ${rated} band(s) met)`);
+  } catch (error) {
+    log.error(`Comparison of ${candidateCode} with PAT ${patCode} failed: ${error.message}`);
+    record = { ...base, error: error.message };
+  }
+
+  await Dataset.pushData(record);
+  return record;
+}
+
+/**
+ * Rate a score against its band
+ * @returns {Object} - { status: "inside" | "below" | "above" | "no_score" | "no_band", deviation, deltaToMitte }
+ */
+function rateScore(score, min, max, mitte) {
+  const deltaToMitte = score !== null && mitte !== null ? round(score - mitte) : null;
+  if (score === null) {
+    return { status: "no_score", deviation: null, deltaToMitte };
+  }
+  if (min === null || max === null) {
+    return { status: "no_band", deviation: null, deltaToMitte };
+  }
+  if (score < min) {
+    return { status: "below", deviation: round(score - min), deltaToMitte };
+  }
+  if (score > max) {
+    return { status: "above", deviation: round(score - max), deltaToMitte };
+  }
+  return { status: "inside", deviation: 0, deltaToMitte };
+}
+
+/**
+ * Fit of a set of deviations: share of the rated bands the score is inside of, in percent
+ */
+function summarize(deviations) {
+  const rated = deviations.filter((entry) => entry.deviation !== null);
+  const inside = rated.filter((entry) => entry.status === "inside").length;
+
+  return {
+    rated: rated.length,
+    inside,
+    fitScore: rated.length > 0 ? round((inside / rated.length) * 100) : null,
+    meanAbsoluteDeviation: rated.length > 0 ? round(rated.reduce((total, entry) => total + Math.abs(entry.deviation), 0) / rated.length) : null
+  };
+}
+
+/**
+ * Comparable form of a definition name
+ */
+function definitionKey(definition) {
+  return String(definition).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * Round to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,248 @@
+/**
+ * CSV utilities for the unified scraper actor
+ * Parses the HR Cockpit evaluation export ("Evaluate-daten"), which comes as
+ * UTF-8 or Latin-1 with a comma or semicolon delimiter depending on the export settings,
+ * and writes the CSV exports of the extracted data
+ */
+
+import { parseSwissDate } from "./dateUtils.js";
+
+const DELIMITERS = [";", ",", "\t", "|"];
+
+/**
+ * Decode a CSV file, detecting UTF-8 (with or without BOM) or Latin-1
+ * @param {Buffer|Uint8Array} buffer - Raw file content
+ * @returns {Object} - { text, encoding: "utf-8" | "latin1" }
+ */
+export function decodeCsv(buffer) {
+  try {
+    // Fails on byte sequences that are not valid UTF-8, e.g. a Latin-1 "ü" (0xFC)
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(buffer), encoding: "utf-8" };
+  } catch {
+    return { text: new TextDecoder("latin1").decode(buffer), encoding: "latin1" };
+  }
+}
+
+/**
+ * Detect the delimiter of a CSV text
+ * The delimiter is the candidate that splits the first rows into the same, largest number of fields.
+ * Rows are parsed with each candidate, so quoted fields may contain delimiters and line breaks.
+ * @param {string} text - CSV text
+ * @returns {string} - The delimiter (defaults to ";")
+ */
+export function detectDelimiter(text) {
+  let best = { delimiter: DELIMITERS[0], fields: 1, consistent: false };
+  for (const delimiter of DELIMITERS) {
+    const counts = parseCsv(text, { delimiter }).slice(0, 10).map((row) => row.length);
+    if (counts.length === 0) {
+      continue;
+    }
+    const fields = Math.min(...counts);
+    const consistent = counts.every((count) => count === counts[0]);
+
+    if (fields > 1 && (consistent && !best.consistent || consistent === best.consistent && fields > best.fields)) {
+      best = { delimiter, fields, consistent };
+    }
+  }
+
+  return best.delimiter;
+}
+
+/**
+ * Parse a CSV text into rows of fields (RFC 4180: quoted fields, doubled quotes, line breaks in quotes)
+ * @param {string} text - CSV text
+ * @param {Object} options - Parse options
+ * @param {string} options.delimiter - Field delimiter
+ * @returns {string[][]} - Rows of fields, empty lines are skipped
+ */
+export function parseCsv(text, { delimiter = ";" } = {}) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.length === 0) {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim().length > 0));
+}
+
+/**
+ * Format rows of fields as CSV (RFC 4180: fields with delimiters, quotes or line breaks are quoted)
+ * @param {Array[]} rows - Rows of fields; null and undefined become empty fields
+ * @param {Object} options - Format options
+ * @param {string} options.delimiter - Field delimiter
+ * @returns {string} - CSV text with CRLF line endings
+ */
+export function formatCsv(rows, { delimiter = ";" } = {}) {
+  const formatField = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map((row) => row.map(formatField).join(delimiter)).join("\r\n") + "\r\n";
+}
+
+/**
+ * Parse a number in Swiss or German notation ("12.5", "12,5", "1'234.5", "1.234,5")
+ * @param {string} value - Text to parse
+ * @returns {number|null} - The number, or null if the text is not a number
+ */
+export function parseNumber(value) {
+  let text = String(value ?? "").trim().replace(/['’\s]/g, "");
+  if (!/^[+-]?[\d.,]+$/.test(text) || !/\d/.test(text)) {
+    return null;
+  }
+
+  const lastComma = text.lastIndexOf(",");
+  const lastDot = text.lastIndexOf(".");
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator, dots group thousands
+    text = text.replace(/\./g, "").replace(",", ".");
+  } else {
+    text = text.replace(/,/g, "");
+  }
+
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse the evaluation export into candidates with identifiers and scale scores
+ * Supports a wide layout (one row per candidate, one column per scale) and a long
+ * layout (one row per scale with a scale name and a score column).
+ * @param {Buffer|Uint8Array} buffer - Raw file content
+ * @param {Object} options - Column definitions
+ * @param {Object} options.identifierColumns - Field name to header labels, e.g. { uid: ["UID"] }
+ * @param {string[]} options.scaleColumn - Header labels of the scale name column (long layout)
+ * @param {string[]} options.scoreColumn - Header labels of the score column (long layout)
+ * @param {string[]} options.dateFields - Identifier fields holding Swiss dates, converted to ISO strings
+ * @returns {Object} - { encoding, delimiter, layout, headers, scales, candidates: [{ identifiers, scores: [{ scale, score }], fields }] }
+ */
+export function parseEvaluationCsv(buffer, { identifierColumns = {}, scaleColumn = [], scoreColumn = [], dateFields = [] } = {}) {
+  const { text, encoding } = decodeCsv(buffer);
+  const delimiter = detectDelimiter(text);
+  const [headerRow = [], ...dataRows] = parseCsv(text, { delimiter });
+  const headers = headerRow.map((header) => header.trim());
+
+  const identifierIndexes = Object.fromEntries(
+    Object.entries(identifierColumns).map(([field, labels]) => [field, findHeader(headers, labels)])
+  );
+  const scaleIndex = findHeader(headers, scaleColumn);
+  const scoreIndex = findHeader(headers, scoreColumn);
+  const layout = scaleIndex >= 0 && scoreIndex >= 0 ? "long" : "wide";
+
+  const candidates = layout === "long"
+    ? parseLongRows(dataRows, identifierIndexes, scaleIndex, scoreIndex)
+    : parseWideRows(dataRows, headers, identifierIndexes);
+
+  for (const { identifiers } of candidates) {
+    for (const field of dateFields) {
+      if (identifiers[field]) {
+        identifiers[field] = parseSwissDate(identifiers[field])?.toISOString() ?? null;
+      }
+    }
+  }
+
+  const scales = [...new Set(candidates.flatMap((candidate) => candidate.scores.map(({ scale }) => scale)))];
+
+  return { encoding, delimiter, layout, headers, scales, candidates };
+}
+
+/**
+ * Wide layout: every numeric column that is not an identifier is a scale
+ */
+function parseWideRows(rows, headers, identifierIndexes) {
+  const identifierSet = new Set(Object.values(identifierIndexes));
+  const scaleIndexes = headers
+    .map((header, index) => index)
+    .filter((index) => !identifierSet.has(index) && headers[index])
+    .filter((index) => {
+      const values = rows.map((row) => (row[index] ?? "").trim()).filter(Boolean);
+      return values.length > 0 && values.every((value) => parseNumber(value) !== null);
+    });
+  const scaleSet = new Set(scaleIndexes);
+
+  return rows.map((row) => ({
+    identifiers: readIdentifiers(row, identifierIndexes),
+    scores: scaleIndexes.map((index) => ({ scale: headers[index], score: parseNumber(row[index]) })),
+    fields: Object.fromEntries(
+      headers
+        .map((header, index) => [header, index])
+        .filter(([header, index]) => header && !identifierSet.has(index) && !scaleSet.has(index))
+        .map(([header, index]) => [header, (row[index] ?? "").trim()])
+    )
+  }));
+}
+
+/**
+ * Long layout: rows with the same identifiers belong to one candidate
+ */
+function parseLongRows(rows, identifierIndexes, scaleIndex, scoreIndex) {
+  const candidates = new Map();
+
+  for (const row of rows) {
+    const identifiers = readIdentifiers(row, identifierIndexes);
+    const key = JSON.stringify(identifiers);
+    if (!candidates.has(key)) {
+      candidates.set(key, { identifiers, scores: [], fields: {} });
+    }
+
+    const scale = (row[scaleIndex] ?? "").trim();
+    if (scale) {
+      candidates.get(key).scores.push({ scale, score: parseNumber(row[scoreIndex]) });
+    }
+  }
+
+  return [...candidates.values()];
+}
+
+/**
+ * Read the identifier fields of a row (null for missing columns or empty cells)
+ */
+function readIdentifiers(row, identifierIndexes) {
+  return Object.fromEntries(
+    Object.entries(identifierIndexes).map(([field, index]) => [field, index >= 0 ? (row[index] ?? "").trim() || null : null])
+  );
+}
+
+/**
+ * Index of the first header equal to one of the labels (case-insensitive), or -1
+ * Exact matching, a "Name" label must not match a "Vorname" column
+ */
+function findHeader(headers, labels = []) {
+  const wanted = labels.map((label) => label.toLowerCase());
+  return headers.findIndex((header) => wanted.includes(header.toLowerCase()));
+}
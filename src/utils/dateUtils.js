@@ -0,0 +1,154 @@
+/**
+ * Date utilities for the unified scraper actor
+ * Both target platforms show Swiss formatted local times (dd.mm.yyyy HH:MM)
+ */
+
+const DEFAULT_TIME_ZONE = "Europe/Zurich";
+
+const SWISS_DATE_PATTERN = /(\d{1,2})\.(\d{1,2})\.(\d{2,4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/;
+
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * Parse a Swiss formatted date ("31.12.2024" or "31.12.2024 14:30") found anywhere in a text
+ * @param {string} text - Text containing the date
+ * @param {string} timeZone - Time zone the platform shows its dates in
+ * @returns {Date|null} - The parsed date, or null if the text contains no valid date
+ */
+export function parseSwissDate(text, timeZone = DEFAULT_TIME_ZONE) {
+  const match = SWISS_DATE_PATTERN.exec(text || "");
+  if (!match) {
+    return null;
+  }
+
+  const [, day, month, year, hours = "0", minutes = "0", seconds = "0"] = match;
+  const fullYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+
+  return zonedTimeToDate(
+    { year: fullYear, month: Number(month), day: Number(day), hours: Number(hours), minutes: Number(minutes), seconds: Number(seconds) },
+    timeZone
+  );
+}
+
+/**
+ * Split a text into its Swiss formatted date and the rest ("12.03.2024 14:30 von Anna von Arx")
+ * @param {string} text - Text containing the date
+ * @param {string} timeZone - Time zone the platform shows its dates in
+ * @returns {Object} - { date: Date|null, rest: text without the date, trimmed }
+ */
+export function splitSwissDate(text, timeZone = DEFAULT_TIME_ZONE) {
+  const value = String(text || "");
+  const match = SWISS_DATE_PATTERN.exec(value);
+  if (!match) {
+    return { date: null, rest: value.trim() };
+  }
+
+  const rest = `${value.slice(0, match.index)} ${value.slice(match.index + match[0].length)}`.replace(/\s+/g, " ").trim();
+  return { date: parseSwissDate(match[0], timeZone), rest };
+}
+
+/**
+ * Parse a date given in the actor input ("2024-12-31", "2024-12-31T14:30" or "2024-12-31T14:30:15")
+ * The value is a wall clock time in the time zone; other formats, time zone suffixes and
+ * out-of-range components (2024-02-31, 24:00) are rejected instead of rolled over.
+ * @param {string} value - The input value
+ * @param {Object} options - Parse options
+ * @param {boolean} options.endOfDay - Fill the missing time parts with their last value (23:59:59.999 for date-only values)
+ * @param {string} options.timeZone - Time zone the value refers to
+ * @returns {Date|null} - The parsed date, or null if no value was given
+ * @throws {Error} - If the value is not a valid date in the expected format
+ */
+export function parseDateInput(value, { endOfDay = false, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  if (!value) {
+    return null;
+  }
+
+  const invalid = () => new Error(`Invalid date: '${value}'. Expected format: YYYY-MM-DD or YYYY-MM-DDTHH:MM[:SS]`);
+
+  const match = ISO_DATE_PATTERN.exec(String(value).trim());
+  if (!match) {
+    throw invalid();
+  }
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const date = zonedTimeToDate(
+    {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hours: Number(hours ?? (endOfDay ? 23 : 0)),
+      minutes: Number(minutes ?? (endOfDay ? 59 : 0)),
+      seconds: Number(seconds ?? (endOfDay ? 59 : 0))
+    },
+    timeZone
+  );
+
+  // Out of range values such as 2024-02-31 or 2024-13-01
+  if (!date) {
+    throw invalid();
+  }
+
+  if (endOfDay && seconds === undefined) {
+    date.setMilliseconds(999);
+  }
+  return date;
+}
+
+/**
+ * Check whether a date lies within an optional range (both bounds inclusive)
+ * @param {Date|null} date - The date to check
+ * @param {Date|null} from - Lower bound (optional)
+ * @param {Date|null} to - Upper bound (optional)
+ * @returns {boolean} - True if the date is within the range
+ */
+export function isWithinRange(date, from, to) {
+  if (!from && !to) {
+    return true;
+  }
+  if (!date) {
+    return false;
+  }
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+/**
+ * Convert a wall clock time in a time zone to a Date
+ */
+function zonedTimeToDate({ year, month, day, hours, minutes, seconds }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const check = new Date(asUtc);
+
+  // Reject overflowing values such as 31.02.2024 or 10:75
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day
+    || check.getUTCHours() !== hours || check.getUTCMinutes() !== minutes || check.getUTCSeconds() !== seconds) {
+    return null;
+  }
+
+  // The offset at the UTC guess is correct except for the hour around DST switches
+  const offset = getTimeZoneOffset(asUtc, timeZone);
+  const date = new Date(asUtc - offset);
+  const correctedOffset = getTimeZoneOffset(date.getTime(), timeZone);
+
+  return correctedOffset === offset ? date : new Date(asUtc - correctedOffset);
+}
+
+/**
+ * Offset of a time zone from UTC in milliseconds at a given instant
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(new Date(timestamp));
+
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  const wallClock = Date.UTC(value("year"), value("month") - 1, value("day"), value("hour"), value("minute"), value("second"));
+
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
@@ -0,0 +1,238 @@
+/**
+ * Download utilities for the unified scraper actor
+ * Reports behind buttons that submit a form (e.g. 'reportbox_submit' on Profiling Values)
+ * can be fetched directly: the request of every button is captured in the page without
+ * sending it, then requested with the 'request' API of the logged-in browser context,
+ * which shares the session cookies.
+ */
+
+/**
+ * Capture the requests the buttons would send, without sending them
+ * Runs the onclick handler of every button with everything that could send a request
+ * intercepted: form submissions, window.open, fetch, XMLHttpRequest and navigations
+ * through location (cancelled with the Navigation API). Without the Navigation API a
+ * location change cannot be stopped, so no handler is run and every button gets an error.
+ * Requests a handler defers (e.g. with setTimeout) are not intercepted.
+ * @param {Object} params - Capture parameters
+ * @param {Object} params.page - Playwright page
+ * @param {string} params.selector - Selector of the buttons
+ * @returns {Promise<Object[]>} - Per button in page order: { index, label, request: { url, method, fields } | null, error }
+ */
+export async function captureButtonRequests({ page, selector }) {
+  return page.evaluate((buttonSelector) => {
+    const buttons = [...document.querySelectorAll(buttonSelector)];
+    const labelOf = (button) => button.textContent.trim();
+
+    if (!window.navigation) {
+      return buttons.map((button, index) => ({
+        index,
+        label: labelOf(button),
+        request: null,
+        error: "The browser cannot stop location changes (no Navigation API), the handler was not run"
+      }));
+    }
+
+    const originals = {
+      submit: HTMLFormElement.prototype.submit,
+      requestSubmit: HTMLFormElement.prototype.requestSubmit,
+      open: window.open,
+      fetch: window.fetch,
+      XMLHttpRequest: window.XMLHttpRequest
+    };
+    let captured = null;
+    let uncaptured = null;
+
+    const absolute = (url) => new URL(String(url), location.href).href;
+    // Only form fields can be replayed, other bodies (JSON, files) are left to the click download
+    const fieldsOf = (body) => {
+      if (body === undefined || body === null) {
+        return [];
+      }
+      if (body instanceof FormData || body instanceof URLSearchParams) {
+        return [...body.entries()].filter(([, value]) => typeof value === "string");
+      }
+      if (typeof body === "string") {
+        return [...new URLSearchParams(body).entries()];
+      }
+      return null;
+    };
+    const capture = (url, method, body) => {
+      if (captured || uncaptured) {
+        return;
+      }
+      const fields = fieldsOf(body);
+      if (fields) {
+        captured = { url: absolute(url), method: (method || "GET").toUpperCase(), fields };
+      } else {
+        uncaptured = `The button sends a ${method} request to ${url} with a body that is not form data`;
+      }
+    };
+
+    const captureForm = function () {
+      capture(this.getAttribute("action") || location.href, this.getAttribute("method") || "GET", new FormData(this));
+    };
+    // Submissions by a submit button click do not call submit(), they are stopped at the submit event
+    const captureEvent = (event) => {
+      event.preventDefault();
+      captureForm.call(event.target);
+    };
+    // location.href = ..., location.assign() and the like
+    const captureNavigation = (event) => {
+      if (event.hashChange) {
+        return;
+      }
+      if (!event.cancelable) {
+        uncaptured = uncaptured || `The button started a navigation to ${event.destination.url} that cannot be stopped`;
+        return;
+      }
+      event.preventDefault();
+      capture(event.destination.url, event.formData ? "POST" : "GET", event.formData);
+    };
+
+    class CapturingXMLHttpRequest {
+      open(method, url) {
+        this.request = { method, url };
+      }
+
+      send(body) {
+        if (this.request) {
+          capture(this.request.url, this.request.method, body);
+        }
+      }
+
+      setRequestHeader() {}
+
+      addEventListener() {}
+
+      removeEventListener() {}
+
+      abort() {}
+    }
+
+    HTMLFormElement.prototype.submit = captureForm;
+    HTMLFormElement.prototype.requestSubmit = captureForm;
+    window.addEventListener("submit", captureEvent, true);
+    window.navigation.addEventListener("navigate", captureNavigation);
+    window.open = (url) => {
+      capture(url, "GET");
+      return null;
+    };
+    window.fetch = (resource, init = {}) => {
+      const isRequest = resource instanceof Request;
+      capture(isRequest ? resource.url : resource, init.method || (isRequest ? resource.method : "GET"), init.body);
+      // Never settles, the handler must not go on with a fake response
+      return new Promise(() => {});
+    };
+    window.XMLHttpRequest = CapturingXMLHttpRequest;
+
+    try {
+      return buttons.map((button, index) => {
+        captured = null;
+        uncaptured = null;
+        let error = null;
+        try {
+          new Function(button.getAttribute("onclick") || "").call(button);
+        } catch (handlerError) {
+          error = handlerError.message;
+        }
+        return {
+          index,
+          label: labelOf(button),
+          request: error || uncaptured ? null : captured,
+          error: error || uncaptured || (captured ? null : "The button did not send a request")
+        };
+      });
+    } finally {
+      HTMLFormElement.prototype.submit = originals.submit;
+      HTMLFormElement.prototype.requestSubmit = originals.requestSubmit;
+      window.removeEventListener("submit", captureEvent, true);
+      window.navigation.removeEventListener("navigate", captureNavigation);
+      window.open = originals.open;
+      window.fetch = originals.fetch;
+      window.XMLHttpRequest = originals.XMLHttpRequest;
+    }
+  }, selector);
+}
+
+/**
+ * Send a captured form request with the cookies of the page's browser context
+ * @param {Object} params - Request parameters
+ * @param {Object} params.page - Playwright page of the logged-in session
+ * @param {Object} params.request - Captured request ({ url, method, fields })
+ * @param {number} params.timeout - Request timeout in ms (default 60000)
+ * @returns {Promise<Object>} - { buffer, contentType, fileName } (fileName from Content-Disposition, or null)
+ * @throws {Error} - On HTTP errors and HTML responses (error or login pages instead of a report)
+ */
+export async function fetchCapturedRequest({ page, request, timeout = 60000 }) {
+  const api = page.context().request;
+  const query = new URLSearchParams(request.fields).toString();
+  const headers = { Referer: page.url() };
+
+  const response = request.method === "GET"
+    ? await api.get(query ? `${request.url}${request.url.includes("?") ? "&" : "?"}${query}` : request.url, { headers, timeout })
+    : await api.fetch(request.url, {
+      method: request.method,
+      data: query,
+      headers: { ...headers, "Content-Type": "application/x-www-form-urlencoded" },
+      timeout
+    });
+
+  if (!response.ok()) {
+    throw new Error(`HTTP ${response.status()} for ${request.method} ${request.url}`);
+  }
+
+  const responseHeaders = response.headers();
+  const contentType = (responseHeaders["content-type"] || "application/octet-stream").split(";")[0].trim();
+  if (contentType === "text/html") {
+    throw new Error(`Expected a report, got an HTML page for ${request.method} ${request.url}`);
+  }
+
+  return {
+    buffer: await response.body(),
+    contentType,
+    fileName: parseContentDisposition(responseHeaders["content-disposition"])
+  };
+}
+
+/**
+ * Run an async worker for every item with at most 'concurrency' workers at a time
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of parallel workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in the order of the items
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, run));
+  return results;
+}
+
+/**
+ * File name of a Content-Disposition header ("filename*=UTF-8''..." or "filename=...")
+ */
+function parseContentDisposition(header) {
+  if (!header) {
+    return null;
+  }
+
+  const encoded = header.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim());
+    } catch {
+      // Fall back to the plain file name
+    }
+  }
+
+  const plain = header.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+  return plain ? (plain[2] ?? plain[1]).trim() : null;
+}
@@ -0,0 +1,85 @@
+/**
+ * Error classes for the unified scraper actor
+ * Handlers check for these to report a code precisely instead of with a generic failure
+ */
+
+/**
+ * No table row holds the code in its code column
+ */
+export class CodeNotFoundError extends Error {
+  /**
+   * @param {string} code - The code that was searched
+   * @param {string} message - Error message (optional)
+   */
+  constructor(code, message = `Code ${code} not found`) {
+    super(message);
+    this.name = 'CodeNotFoundError';
+    this.searchedCode = code;
+    // Set by paginated lookups (see utils/paginationUtils.js)
+    this.pagesScanned = undefined;
+  }
+}
+
+/**
+ * More than one table row holds the code, processing any of them could mix up candidates
+ */
+export class AmbiguousCodeError extends Error {
+  /**
+   * @param {string} code - The code that was searched
+   * @param {Object[]} rows - The conflicting rows ({ index, cells })
+   */
+  constructor(code, rows) {
+    super(`Code ${code} is ambiguous, it matches ${rows.length} rows: ${rows.map((row) => `[${row.cells.join(' | ')}]`).join(', ')}`);
+    this.name = 'AmbiguousCodeError';
+    this.searchedCode = code;
+    this.rows = rows;
+  }
+}
+
+/**
+ * A vendor document no longer matches the schema the actor knows
+ * Fatal: every following code would fail the same way, so the run is failed (see isFatalError)
+ */
+export class SchemaDriftError extends Error {
+  /**
+   * @param {string} document - Name of the document, e.g. "JSON-Report"
+   * @param {Object} details - { version, issues: [{ path, message }] } of the closest schema
+   */
+  constructor(document, { version = null, issues = [] } = {}) {
+    const listed = issues.slice(0, 5).map((issue) => `${issue.path} ${issue.message}`).join('; ');
+    const more = issues.length > 5 ? ` (+${issues.length - 5} more)` : '';
+    super(`Schema drift in ${document}${version ? ` (schema version ${version})` : ''}: ${listed}${more}`);
+    this.name = 'SchemaDriftError';
+    this.document = document;
+    this.schemaVersion = version;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Check whether an error must fail the whole run instead of only its code
+ * @param {Error} error - The error
+ * @returns {boolean} - True for schema drift
+ */
+export function isFatalError(error) {
+  return error instanceof SchemaDriftError;
+}
+
+/**
+ * Dataset fields describing a failed code
+ * @param {Error} error - The error
+ * @returns {Object} - { error } plus 'conflictingRows' for ambiguous codes, 'schemaDrift' for schema drift
+ *                     and 'pagesScanned' for codes not found
+ */
+export function toErrorRecord(error) {
+  if (error instanceof AmbiguousCodeError) {
+    return { error: error.message, conflictingRows: error.rows };
+  }
+  if (error instanceof SchemaDriftError) {
+    return { error: error.message, schemaDrift: { document: error.document, schemaVersion: error.schemaVersion, issues: error.issues } };
+  }
+  if (error instanceof CodeNotFoundError && error.pagesScanned !== undefined) {
+    return { error: error.message, pagesScanned: error.pagesScanned };
+  }
+  return { error: error.message };
+}
@@ -0,0 +1,172 @@
+/**
+ * Export utilities for the unified scraper actor
+ * Turns extracted data into a table ({ name, metadata, columns, rows }) and stores it as a
+ * flat CSV and as an XLSX workbook with a "Metadata" and a "Data" sheet, e.g. for
+ * consultants working in Excel. Works for PAT data and for the parsed HR Cockpit evaluation.
+ *   metadata: [[label, value]]   columns: [{ header, key }]   rows: [{ [key]: value }]
+ */
+
+import ExcelJS from "exceljs";
+import { formatCsv } from "./csvUtils.js";
+import { saveArtifact } from "./storageUtils.js";
+import { PAT_DIMENSIONS } from "./patUtils.js";
+
+const DIMENSION_LABELS = { koennen: "Können", wollen: "Wollen" };
+
+const BOUND_LABELS = { min: "Min", mitte: "Mitte", max: "Max" };
+
+// Bounds in the order of the band, not of the PAT shape
+const EXPORT_BOUNDS = ["min", "mitte", "max"];
+
+const MAX_COLUMN_WIDTH = 50;
+
+/**
+ * Table of a PAT: metadata as label/value pairs, one data row per definition
+ * @param {Object} pat - PAT ({ metadata, data })
+ * @returns {Object} - Table ({ name, metadata, columns, rows })
+ */
+export function patToTable(pat) {
+  const columns = [
+    { header: "Definition", key: "definition" },
+    ...PAT_DIMENSIONS.flatMap((dimension) => EXPORT_BOUNDS.map((bound) => ({
+      header: `${DIMENSION_LABELS[dimension]} ${BOUND_LABELS[bound]}`,
+      key: `${dimension}_${bound}`
+    })))
+  ];
+
+  const hasWarnings = pat.data.some((row) => row.warnings?.length > 0);
+  if (hasWarnings) {
+    columns.push({ header: "Warnings", key: "warnings" });
+  }
+
+  return {
+    name: "PAT",
+    metadata: Object.entries(pat.metadata),
+    columns,
+    rows: pat.data.map((row) => ({
+      definition: row.definition,
+      ...Object.fromEntries(PAT_DIMENSIONS.flatMap((dimension) => EXPORT_BOUNDS.map((bound) => [`${dimension}_${bound}`, row[dimension][bound]]))),
+      ...(hasWarnings ? { warnings: (row.warnings || []).join("; ") } : {})
+    }))
+  };
+}
+
+/**
+ * Table of a parsed evaluation CSV: one data row per candidate with identifiers, scales and text fields
+ * @param {Object} evaluation - Parsed evaluation ({ url, encoding, delimiter, layout, scales, candidates })
+ * @param {Object} source - Record the evaluation belongs to ({ code, codeType })
+ * @returns {Object} - Table ({ name, metadata, columns, rows })
+ */
+export function evaluationToTable(evaluation, { code, codeType }) {
+  const identifierKeys = [...new Set(evaluation.candidates.flatMap((candidate) => Object.keys(candidate.identifiers)))];
+  const fieldNames = [...new Set(evaluation.candidates.flatMap((candidate) => Object.keys(candidate.fields || {})))];
+
+  // Scale and field names are prefixed so they cannot collide with the identifier keys
+  const columns = [
+    ...identifierKeys.map((key) => ({ header: key, key: `identifier:${key}` })),
+    ...evaluation.scales.map((scale) => ({ header: scale, key: `scale:${scale}` })),
+    ...fieldNames.map((field) => ({ header: field, key: `field:${field}` }))
+  ];
+
+  return {
+    name: "Evaluation",
+    metadata: [
+      ["code", code],
+      ["codeType", codeType],
+      ["source", evaluation.url],
+      ["encoding", evaluation.encoding],
+      ["delimiter", evaluation.delimiter],
+      ["layout", evaluation.layout],
+      ["candidates", evaluation.candidates.length],
+      ["scales", evaluation.scales.length]
+    ],
+    columns,
+    rows: evaluation.candidates.map((candidate) => ({
+      ...Object.fromEntries(identifierKeys.map((key) => [`identifier:${key}`, candidate.identifiers[key] ?? null])),
+      ...Object.fromEntries(candidate.scores.map(({ scale, score }) => [`scale:${scale}`, score])),
+      ...Object.fromEntries(fieldNames.map((field) => [`field:${field}`, candidate.fields?.[field] ?? null]))
+    }))
+  };
+}
+
+/**
+ * Flat CSV of a table: the metadata values are repeated as leading columns of every row
+ * (except metadata named like a data column, e.g. the code of an evaluation).
+ * Semicolon delimited with a UTF-8 BOM, which Excel opens with the umlauts intact
+ * @param {Object} table - Table ({ metadata, columns, rows })
+ * @returns {Buffer} - CSV file content
+ */
+export function tableToCsv({ metadata, columns, rows }) {
+  const headers = new Set(columns.map((column) => column.header));
+  const leading = metadata.filter(([label]) => !headers.has(label));
+
+  const header = [...leading.map(([label]) => label), ...columns.map((column) => column.header)];
+  const lines = rows.map((row) => [...leading.map(([, value]) => value), ...columns.map((column) => row[column.key])]);
+
+  return Buffer.from(`\uFEFF${formatCsv([header, ...lines])}`, "utf-8");
+}
+
+/**
+ * XLSX workbook of a table with a "Metadata" and a "Data" sheet
+ * Header rows are bold and frozen, the data sheet has a filter, columns are sized to their content
+ * @param {Object} table - Table ({ metadata, columns, rows })
+ * @returns {Promise<Buffer>} - XLSX file content
+ */
+export async function tableToXlsx({ metadata, columns, rows }) {
+  const workbook = new ExcelJS.Workbook();
+
+  const metadataSheet = workbook.addWorksheet("Metadata");
+  metadataSheet.columns = [{ header: "Field", key: "field" }, { header: "Value", key: "value" }];
+  metadataSheet.addRows(metadata.map(([field, value]) => ({ field, value: value ?? null })));
+  formatSheet(metadataSheet);
+
+  const dataSheet = workbook.addWorksheet("Data");
+  dataSheet.columns = columns.map(({ header, key }) => ({ header, key }));
+  dataSheet.addRows(rows.map((row) => Object.fromEntries(columns.map(({ key }) => [key, row[key] ?? null]))));
+  formatSheet(dataSheet);
+  if (columns.length > 0) {
+    dataSheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Store a table as CSV and XLSX in the default KeyValueStore
+ * @param {Object} params - Export parameters
+ * @param {string} params.codeType - Code type of the record
+ * @param {string} params.code - Code of the record
+ * @param {Object} params.table - Table ({ name, metadata, columns, rows })
+ * @returns {Promise<Object>} - { csv: { key, url }, xlsx: { key, url } }
+ */
+export async function exportTable({ codeType, code, table }) {
+  const reportType = `${table.name}-Export`;
+
+  const csv = await saveArtifact({ codeType, code, reportType, content: tableToCsv(table), contentType: "text/csv; charset=utf-8", extension: "csv" });
+  const xlsx = await saveArtifact({
+    codeType,
+    code,
+    reportType,
+    content: await tableToXlsx(table),
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx"
+  });
+
+  return { csv, xlsx };
+}
+
+/**
+ * Bold, frozen header row and column widths fitting the content
+ */
+function formatSheet(sheet) {
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+
+  sheet.columns.forEach((column) => {
+    let width = 8;
+    column.eachCell({ includeEmpty: false }, (cell) => {
+      width = Math.max(width, String(cell.value ?? "").length + 2);
+    });
+    column.width = Math.min(width, MAX_COLUMN_WIDTH);
+  });
+}
@@ -0,0 +1,216 @@
+/**
+ * Flow runner for the unified scraper actor
+ * Interprets the declarative navigation flows defined in config.js
+ *
+ * A flow is a list of steps, every step has an 'action':
+ * - goto:     { url, replace: { from, to } }  Navigate to a URL ('{{url}}' is the current URL)
+ * - fill:     { selector, value }             Fill an input
+ * - press:    { key }                         Press a key on the keyboard
+ * - click:    { selector }                    Click an element
+ * - waitFor:  { selector, state, timeout }    Wait for an element state
+ *             { url, timeout }                 or for the page URL to match (glob string or RegExp)
+ * - extract:  { selector, nth, attribute, as } Store an element's text (or attribute) as variable
+ * - findRow:  { table, column, value, as,     Find the one row whose column cell equals value exactly and
+ *              pagination }                   store its selector as variable (fails if none or several match);
+ *                                             walks through the pages of the table unless 'pagination' is false
+ * - download: { selector, as }                Click an element and save the download
+ * - popup:    { trigger, steps }              Run the trigger step, then the steps in the opened popup
+ *
+ * Every step accepts 'description' (for logging), 'timeout', 'waitUntil' (load state to reach
+ * afterwards: 'load', 'domcontentloaded' or 'networkidle'), 'optional' (log a failure and continue
+ * with the next step) and 'delay' (a configured politeness pause in ms, not a wait for the page).
+ * Steps other than popup also accept 'waitForResponse': the step waits for a response it triggers,
+ * e.g. a list reloaded by a filter input. true matches any document, fetch or XHR response, a glob
+ * string or RegExp matches the response URL. The wait starts before the action, so a fast response
+ * is not missed; a load state is no help here, it is usually reached already and returns at once.
+ * Strings may reference variables as '{{name}}': the variables passed to runFlow,
+ * values stored by 'extract' steps and '{{url}}' for the URL of the current page.
+ */
+
+import { findRowOnAnyPage } from "./paginationUtils.js";
+
+/**
+ * Run a flow on a page
+ * @param {Object} params - Flow parameters
+ * @param {Object} params.page - Playwright page
+ * @param {Object[]} params.steps - Steps of the flow
+ * @param {Object} params.vars - Variables available to the steps (e.g. code, navigationPath)
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<Object>} - Flow context ({ vars, downloads: [{ name, fileName }], pagesScanned })
+ */
+export async function runFlow({ page, steps, vars = {}, log }) {
+  const context = { vars: { ...vars }, downloads: [], pagesScanned: 0 };
+
+  for (const [index, step] of steps.entries()) {
+    try {
+      await runStep(page, step, context, log);
+    } catch (error) {
+      if (step.optional) {
+        log.info(`Optional flow step ${index + 1} (${describeStep(step, context, page)}) skipped: ${error.message}`);
+        continue;
+      }
+      // Keep the error class (e.g. AmbiguousCodeError), handlers react to it
+      error.message = `Flow step ${index + 1} (${describeStep(step, context, page)}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  return context;
+}
+
+/**
+ * Run a single step
+ */
+async function runStep(page, step, context, log) {
+  const { action, timeout } = step;
+  const selector = step.selector ? resolveTemplate(step.selector, context, page) : undefined;
+
+  log.info(`Flow step: ${describeStep(step, context, page)}`);
+
+  const response = step.waitForResponse && action !== 'popup'
+    ? page.waitForResponse(responseMatcher(step.waitForResponse, context, page), { timeout: timeout ?? 30000 })
+    : null;
+  // Rejections are handled when the response is awaited, also if the action fails first
+  response?.catch(() => {});
+
+  switch (action) {
+    case 'goto': {
+      let url = resolveTemplate(step.url, context, page);
+      if (step.replace) {
+        url = url.replace(step.replace.from, step.replace.to);
+      }
+      await page.goto(url, { timeout, waitUntil: step.waitUntil });
+      break;
+    }
+
+    case 'fill':
+      await page.locator(selector).fill(resolveTemplate(step.value, context, page), { timeout });
+      break;
+
+    case 'press':
+      await page.keyboard.press(step.key);
+      break;
+
+    case 'click':
+      await page.locator(selector).first().click({ timeout });
+      break;
+
+    case 'waitFor':
+      if (step.url) {
+        await page.waitForURL(step.url instanceof RegExp ? step.url : resolveTemplate(step.url, context, page), { timeout });
+      } else {
+        await page.locator(selector).first().waitFor({ state: step.state || 'visible', timeout });
+      }
+      break;
+
+    case 'extract': {
+      const locator = page.locator(selector).nth(step.nth ?? 0);
+      const value = step.attribute
+        ? await locator.getAttribute(step.attribute, { timeout })
+        : await locator.innerText({ timeout });
+      context.vars[step.as] = (value || '').trim();
+      log.info(`Extracted ${step.as}: ${context.vars[step.as]}`);
+      break;
+    }
+
+    case 'findRow': {
+      const name = step.as || 'row';
+      const tableSelector = step.table ? resolveTemplate(step.table, context, page) : undefined;
+      const { selector: rowSelector, row, pageNumber, pagesScanned } = await findRowOnAnyPage({
+        page,
+        tableSelector,
+        column: step.column,
+        value: resolveTemplate(step.value, context, page),
+        marker: name,
+        pagination: step.pagination,
+        log
+      });
+      context.vars[name] = rowSelector;
+      context.pagesScanned += pagesScanned;
+      log.info(`Found exact match for ${step.value} in row ${row.index + 1} (page ${pageNumber} of ${pagesScanned})`);
+      break;
+    }
+
+    case 'download': {
+      const downloadPromise = page.waitForEvent('download', { timeout: timeout ?? 30000 });
+      await page.locator(selector).first().click();
+      const download = await downloadPromise;
+
+      const fileName = download.suggestedFilename();
+      await download.saveAs(fileName);
+      context.downloads.push({ name: step.as || fileName, fileName });
+      log.info(`Downloaded: ${fileName}`);
+      break;
+    }
+
+    case 'popup': {
+      const popupPromise = page.waitForEvent('popup', { timeout: timeout ?? 30000 });
+      await runStep(page, step.trigger, context, log);
+      const popup = await popupPromise;
+
+      await popup.waitForLoadState(step.waitUntil || 'domcontentloaded', { timeout });
+      if (step.delay) {
+        await popup.waitForTimeout(step.delay);
+      }
+      for (const popupStep of step.steps || []) {
+        await runStep(popup, popupStep, context, log);
+      }
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown flow action: ${action}`);
+  }
+
+  if (response) {
+    const { status, url } = await response.then((received) => ({ status: received.status(), url: received.url() }));
+    log.info(`Response ${status} ${url}`);
+  }
+  if (step.waitUntil && action !== 'goto') {
+    await page.waitForLoadState(step.waitUntil, { timeout });
+  }
+  if (step.delay) {
+    await page.waitForTimeout(step.delay);
+  }
+}
+
+/**
+ * Response matcher of a 'waitForResponse' setting
+ */
+function responseMatcher(waitForResponse, context, page) {
+  if (waitForResponse === true) {
+    return (received) => ['document', 'fetch', 'xhr'].includes(received.request().resourceType());
+  }
+  return waitForResponse instanceof RegExp ? waitForResponse : resolveTemplate(waitForResponse, context, page);
+}
+
+/**
+ * Replace '{{name}}' placeholders with flow variables
+ */
+function resolveTemplate(template, context, page) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    if (name === 'url') {
+      return page.url();
+    }
+    if (!(name in context.vars)) {
+      throw new Error(`Unknown flow variable: ${placeholder}`);
+    }
+    return context.vars[name];
+  });
+}
+
+/**
+ * Human readable description of a step for logs and errors
+ */
+function describeStep(step, context, page) {
+  if (step.description) {
+    return step.description;
+  }
+
+  const target = step.selector || step.url || step.key || step.trigger?.selector || step.value || '';
+  try {
+    return `${step.action} ${resolveTemplate(target, context, page)}`.trim();
+  } catch {
+    return `${step.action} ${target}`.trim();
+  }
+}
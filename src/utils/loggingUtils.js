@@ -126,8 +126,43 @@ export function logConfigValidation({ codeType, config, log }) {
       baseUrl: config.baseUrl,
       navigationPath: config.navigationPath,
       fileTypes: config.fileTypes,
-      includeCSV: config.includeCSV
+      reportFlows: (config.reportFlows || []).map(flow => flow.name)
     },
     log
   });
 }
+
+/**
+ * Create a timer measuring how long the steps of an operation take
+ * Starting a step ends the running one; every finished step is logged with its duration
+ * @param {Object} params - Timer parameters
+ * @param {Object} params.log - Logger instance
+ * @returns {Object} - Timer ({ start(step), stop(), summary() })
+ */
+export function createStepTimer({ log }) {
+  const steps = [];
+  let current = null;
+
+  const stop = () => {
+    if (!current) {
+      return;
+    }
+    const ms = Date.now() - current.startedAt;
+    steps.push({ step: current.step, ms });
+    log.info(`Step timing: ${current.step} took ${ms} ms`);
+    current = null;
+  };
+
+  return {
+    start(step) {
+      stop();
+      current = { step, startedAt: Date.now() };
+    },
+    stop,
+    // Ends the running step, returns { steps: [{ step, ms }], totalMs }
+    summary() {
+      stop();
+      return { steps: [...steps], totalMs: steps.reduce((total, { ms }) => total + ms, 0) };
+    }
+  };
+}
@@ -0,0 +1,279 @@
+/**
+ * Pagination utilities for the unified scraper actor
+ * Result listings may be split over several pages. A listing is first switched
+ * to "show all" if the page offers it, otherwise the pages are walked with the
+ * "next" control until the wanted row is found or the last page is reached.
+ *
+ * Pagination settings ({ table, showAll, showAllLabels, next, maxPages, timeout })
+ * are merged over DEFAULT_PAGINATION; 'pagination: false' disables paging.
+ */
+
+import { CodeNotFoundError, AmbiguousCodeError } from "./errors.js";
+import { extractTable, findRowByCell } from "./tableUtils.js";
+
+export const DEFAULT_PAGINATION = {
+  // Table whose content changes when another page is shown
+  table: "table",
+  // Links or selects that show all rows on one page (selects pick an option labelled like showAllLabels)
+  showAll: ['a:text-is("Alle anzeigen")', 'a:text-is("Alle")', 'a:text-is("Show all")', 'select[name*=limit]', 'select[name*=anzahl]', 'select[name*=perpage]'],
+  showAllLabels: ["alle", "all", "alle anzeigen", "show all"],
+  // Controls leading to the next page, the first visible and enabled one is used
+  next: ['a[rel=next]', 'a:text-is("Weiter")', 'a:text-is("Nächste")', 'a:text-is("Next")', 'a:text-is(">")', 'a:text-is("›")', 'a:text-is("»")'],
+  maxPages: 50,
+  // How long to wait for the table to change after using a control (ms)
+  timeout: 15000
+};
+
+/**
+ * Visit every page of a listing until the visitor is done
+ * @param {Object} params - Scan parameters
+ * @param {Object} params.page - Playwright page
+ * @param {Object|false} params.pagination - Pagination settings (false to stay on the current page)
+ * @param {Function} params.visit - async (pageNumber) => ({ done, value }), called for every page
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<Object>} - { done, value, pagesScanned } of the last visited page
+ */
+export async function scanPages({ page, pagination, visit, log }) {
+  if (pagination === false) {
+    return { ...(await visit(1)), pagesScanned: 1 };
+  }
+
+  const settings = { ...DEFAULT_PAGINATION, ...pagination };
+  await showAllRows({ page, settings, log });
+
+  let pagesScanned = 0;
+  for (;;) {
+    pagesScanned++;
+    const outcome = await visit(pagesScanned);
+
+    if (outcome.done) {
+      return { ...outcome, pagesScanned };
+    }
+    if (pagesScanned >= settings.maxPages) {
+      log.warning(`Stopped after ${pagesScanned} pages (maxPages)`);
+      return { ...outcome, pagesScanned };
+    }
+    if (!(await goToNextPage({ page, settings, log }))) {
+      return { ...outcome, pagesScanned };
+    }
+  }
+}
+
+/**
+ * Find the one row whose code cell equals a value, walking through all pages of the listing
+ * Every page is searched, so a second row holding the value on a later page is noticed as well.
+ * If the row is not on the page shown last, the listing is walked again up to its page.
+ * @param {Object} params - Lookup parameters, see findRowByCell, plus 'pagination' and 'log'
+ *                          (the paged table defaults to tableSelector)
+ * @returns {Promise<Object>} - { selector, row, pageNumber, pagesScanned }
+ * @throws {CodeNotFoundError} - If no page holds the value
+ * @throws {AmbiguousCodeError} - If more than one row holds the value, on one page or across pages
+ */
+export async function findRowOnAnyPage({ page, tableSelector = "table", column, value, marker, pagination = {}, log }) {
+  const settings = withTable(pagination, tableSelector);
+  const startUrl = page.url();
+  const lookup = () => findRowByCell({ page, tableSelector, column, value, marker });
+
+  const matches = [];
+  let notFound = null;
+  const { pagesScanned } = await scanPages({
+    page,
+    pagination: settings,
+    log,
+    visit: async (pageNumber) => {
+      try {
+        const { row } = await lookup();
+        matches.push({ ...row, page: pageNumber });
+      } catch (error) {
+        if (error instanceof AmbiguousCodeError) {
+          matches.push(...error.rows.map((row) => ({ ...row, page: pageNumber })));
+        } else if (error instanceof CodeNotFoundError) {
+          notFound = error;
+        } else {
+          throw error;
+        }
+      }
+      return { done: false };
+    }
+  });
+
+  if (matches.length === 0) {
+    notFound.message = `${notFound.message} (${pagesScanned} page(s) scanned)`;
+    notFound.pagesScanned = pagesScanned;
+    throw notFound;
+  }
+  if (matches.length > 1) {
+    throw new AmbiguousCodeError(value, matches);
+  }
+
+  const [match] = matches;
+  if (match.page !== pagesScanned) {
+    log.info(`Code ${value} is on page ${match.page}, going back to it`);
+    await goToPage({ page, settings, startUrl, pageNumber: match.page, log });
+  }
+
+  return { ...(await lookup()), pageNumber: match.page, pagesScanned };
+}
+
+/**
+ * Extract the rows of a listing from all of its pages
+ * @param {Object} params - Listing parameters
+ * @param {Object} params.page - Playwright page
+ * @param {string} params.tableSelector - Selector for the candidate tables
+ * @param {Object|false} params.pagination - Pagination settings (the paged table defaults to tableSelector)
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<Object>} - { headers, rows, pagesScanned }, headers of the first page
+ */
+export async function extractAllRows({ page, tableSelector = "table", pagination = {}, log }) {
+  let headers = null;
+  const rows = [];
+
+  const { pagesScanned } = await scanPages({
+    page,
+    pagination: withTable(pagination, tableSelector),
+    log,
+    visit: async () => {
+      const table = await extractTable(page, tableSelector);
+      const offset = rows.length;
+      headers = headers || table.headers;
+      // Number the rows across pages
+      rows.push(...table.rows.map((row) => ({ ...row, index: offset + row.index })));
+      return { done: false };
+    }
+  });
+
+  return { headers: headers || [], rows, pagesScanned };
+}
+
+/**
+ * Page the given table unless the settings name another one
+ */
+function withTable(pagination, tableSelector) {
+  return pagination === false ? false : { table: tableSelector, ...pagination };
+}
+
+/**
+ * Show a page of the listing again: reload its first page and page forward
+ */
+async function goToPage({ page, settings, startUrl, pageNumber, log }) {
+  await page.goto(startUrl);
+  await page.locator(settings.table).first().waitFor({ state: "visible" });
+  await showAllRows({ page, settings, log });
+
+  for (let current = 1; current < pageNumber; current++) {
+    if (!(await goToNextPage({ page, settings, log }))) {
+      throw new Error(`Could not go back to page ${pageNumber} of the table '${settings.table}'`);
+    }
+  }
+}
+
+/**
+ * Switch the listing to "show all rows" if the page offers it
+ * @returns {Promise<boolean>} - True if a "show all" control was used
+ */
+async function showAllRows({ page, settings, log }) {
+  for (const selector of settings.showAll) {
+    const control = page.locator(selector).first();
+    if (!(await control.isVisible().catch(() => false))) {
+      continue;
+    }
+
+    const signature = await getTableSignature(page, settings.table);
+    const isSelect = await control.evaluate((element) => element.tagName === "SELECT");
+
+    if (isSelect) {
+      const option = await control.evaluate((select, labels) => {
+        const match = [...select.options].find((candidate) => labels.includes(candidate.textContent.trim().toLowerCase()));
+        return match ? match.value : null;
+      }, settings.showAllLabels);
+
+      if (option === null || option === (await control.inputValue())) {
+        continue;
+      }
+      await control.selectOption(option);
+    } else {
+      await control.click();
+    }
+
+    const changed = await waitForTableChange(page, settings, signature);
+    log.info(`Show all rows (${selector}): ${changed ? 'table updated' : 'no change'}`);
+    return changed;
+  }
+
+  return false;
+}
+
+/**
+ * Go to the next page of the listing
+ * @returns {Promise<boolean>} - False if there is no next page
+ */
+async function goToNextPage({ page, settings, log }) {
+  for (const selector of settings.next) {
+    const control = page.locator(selector).first();
+    if (!(await control.isVisible().catch(() => false))) {
+      continue;
+    }
+
+    const disabled = await control.evaluate((element) => element.matches('[disabled], [aria-disabled=true], .disabled, .disabled *'));
+    if (disabled) {
+      continue;
+    }
+
+    const signature = await getTableSignature(page, settings.table);
+    await control.click();
+
+    if (await waitForTableChange(page, settings, signature)) {
+      log.info(`Next page (${selector})`);
+      return true;
+    }
+
+    log.info(`Next page control (${selector}) did not change the table, assuming the last page`);
+    return false;
+  }
+
+  return false;
+}
+
+/**
+ * Text fingerprint of the largest matching table, or false if it equals the previous fingerprint
+ * Runs in the browser, used both to take a fingerprint and to wait for a change
+ */
+function tableSignature({ selector, previous }) {
+  const dataRowsOf = (table) => [...table.rows].filter((tr) => tr.querySelector("td"));
+  const table = [...document.querySelectorAll(selector)].sort((a, b) => dataRowsOf(b).length - dataRowsOf(a).length)[0];
+  const rows = table ? dataRowsOf(table) : [];
+  const signature = `${rows.length}|${rows[0]?.innerText || ""}|${rows[rows.length - 1]?.innerText || ""}`;
+
+  return signature !== previous ? signature : false;
+}
+
+/**
+ * Take the fingerprint of the listing table
+ */
+async function getTableSignature(page, selector) {
+  return page.evaluate(tableSignature, { selector, previous: null });
+}
+
+/**
+ * Wait until the listing table differs from a fingerprint
+ * Survives full page navigations caused by pagination links
+ * @returns {Promise<boolean>} - False if the table did not change within the timeout
+ */
+async function waitForTableChange(page, settings, signature) {
+  const deadline = Date.now() + settings.timeout;
+
+  while (Date.now() < deadline) {
+    try {
+      await page.waitForFunction(tableSignature, { selector: settings.table, previous: signature }, { timeout: deadline - Date.now() });
+      return true;
+    } catch (error) {
+      // A navigation destroys the execution context, wait for the new document and check again
+      if (!/context was destroyed|navigation/i.test(error.message)) {
+        return false;
+      }
+      await page.waitForLoadState("domcontentloaded").catch(() => {});
+    }
+  }
+
+  return false;
+}
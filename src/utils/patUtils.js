@@ -0,0 +1,347 @@
+/**
+ * PAT (target profile) utilities for the unified scraper actor
+ * Both vendors deliver target profiles in the same shape, so downstream matching
+ * code can treat them alike:
+ *   { metadata: { code, key, created, created_by, pat_type, company, industry, role, modified },
+ *     data: [{ definition, koennen: { min, max, mitte }, wollen: { min, max, mitte } }] }
+ * Rows parsed from a PAT table also carry the 'warnings' of their values.
+ */
+
+import * as cheerio from "cheerio";
+import { parseNumber } from "./csvUtils.js";
+import { splitSwissDate } from "./dateUtils.js";
+
+export const PAT_DIMENSIONS = ["koennen", "wollen"];
+
+export const PAT_BOUNDS = ["min", "max", "mitte"];
+
+/**
+ * Create PAT metadata with all keys of the PAT shape
+ * @param {Object} values - Known metadata values
+ * @returns {Object} - Metadata, unknown keys are null
+ */
+export function createPatMetadata(values = {}) {
+  return {
+    code: null,
+    key: null,
+    created: null,
+    created_by: null,
+    pat_type: null,
+    company: null,
+    industry: null,
+    role: null,
+    modified: null,
+    ...values
+  };
+}
+
+/**
+ * Map the label/value pairs of a PAT info table to PAT metadata
+ * Labels are compared without case and trailing colon. 'created' and 'modified' become
+ * ISO timestamps (null if the value holds no date); the text after the creation date is
+ * the creator, kept whole ("12.03.2024 von Anna von Arx" → "Anna von Arx").
+ * @param {string[][]} pairs - Label/value pairs in page order
+ * @param {Object} fields - Metadata key to labels, e.g. { key: ["Schlüssel"], created: ["Erstellt"] }
+ * @returns {Object} - { metadata: mapped metadata keys, info: every label with its value }
+ */
+export function mapPatInfo(pairs, fields = {}) {
+  const info = {};
+  const metadata = {};
+
+  for (const [rawLabel, rawValue] of pairs) {
+    const label = String(rawLabel).trim().replace(/\s*:$/, "");
+    if (!label) {
+      continue;
+    }
+    const value = String(rawValue ?? "").replace(/\s+/g, " ").trim();
+
+    // Labels shown twice keep both values
+    let name = label;
+    for (let count = 2; name in info; count++) {
+      name = `${label} (${count})`;
+    }
+    info[name] = value;
+
+    const key = Object.keys(fields).find((field) => fields[field].some((candidate) => candidate.toLowerCase() === label.toLowerCase()));
+    if (!key || key in metadata) {
+      continue;
+    }
+
+    if (key === "created" || key === "modified") {
+      const { date, rest } = splitSwissDate(value);
+      metadata[key] = date?.toISOString() ?? null;
+      if (key === "created") {
+        metadata.created_by = rest.replace(/^(von|by)\s+/i, "") || null;
+      }
+    } else {
+      metadata[key] = value || null;
+    }
+  }
+
+  return { metadata, info };
+}
+
+/**
+ * Read a PAT page: the label/value pairs of its info table and the rows of its PAT table
+ * Info rows nested in other tables or inside the PAT table are left out; a row may hold
+ * several label/value pairs side by side.
+ * @param {string} html - HTML of the page
+ * @param {Object} options - Page definition
+ * @param {Object} options.patInfo - Info table rows ({ selector, fields }, see mapPatInfo)
+ * @param {Object} options.patTable - PAT table ({ selector, ... }, see parsePatTable)
+ * @returns {Object} - { metadata, info } of mapPatInfo and { data, warnings } of parsePatTable, 'tableFound' false if the page has no PAT table
+ */
+export function readPatPage(html, { patInfo, patTable }) {
+  const $ = cheerio.load(html);
+
+  const infoPairs = $(patInfo.selector).toArray()
+    .filter((tr) => $(tr).find("table").length === 0 && $(tr).closest(patTable.selector).length === 0)
+    .flatMap((tr) => {
+      const cells = $(tr).children("th, td").toArray().map((cell) => $(cell).text());
+      return Array.from({ length: Math.floor(cells.length / 2) }, (_, pair) => cells.slice(pair * 2, pair * 2 + 2));
+    });
+  const { metadata, info } = mapPatInfo(infoPairs, patInfo.fields);
+
+  // Rows by the header labels of the table, see parsePatTable
+  const tableRows = $(`${patTable.selector} tr`).toArray()
+    .map((tr) => $(tr).children("th, td").toArray().map((cell) => $(cell).text().trim()));
+  const [headers = [], ...rows] = tableRows;
+  const { data, warnings } = parsePatTable({ headers, rows }, patTable);
+
+  return { metadata, info, data, warnings, tableFound: $(patTable.selector).length > 0 };
+}
+
+/**
+ * Create an empty PAT data row
+ * @param {string} definition - Name of the scale
+ * @returns {Object} - { definition, koennen: { min, max, mitte }, wollen: { min, max, mitte } }
+ */
+export function createPatRow(definition) {
+  const emptyRange = () => Object.fromEntries(PAT_BOUNDS.map((bound) => [bound, null]));
+  return { definition, koennen: emptyRange(), wollen: emptyRange() };
+}
+
+/**
+ * Build PAT data rows from named scale scores
+ * Every scale name is split into words; words naming a dimension (e.g. "Können")
+ * or a bound (e.g. "Min") are removed and the remaining words form the definition.
+ * "Führung Wollen Max" → { definition: "Führung", wollen: { max } }
+ * @param {Object[]} scores - Scale scores ({ scale, score })
+ * @param {Object} mapping - Word labels per dimension and bound
+ * @param {Object} mapping.dimensions - Dimension to labels, e.g. { koennen: ["Können"], wollen: ["Wollen"] }
+ * @param {Object} mapping.bounds - Bound to labels, e.g. { min: ["Min"], max: ["Max"], mitte: ["Mitte"] }
+ * @param {string|null} mapping.defaultDimension - Dimension of scales without a dimension word (default null: such scales are unmatched)
+ * @param {string|null} mapping.defaultBound - Bound of scales without a bound word (default null: such scales are unmatched)
+ * @returns {Object} - { data: PAT rows in order of appearance, unmatched: scale names without a definition, dimension or bound }
+ */
+export function buildPatRows(scores, { dimensions = {}, bounds = {}, defaultDimension = null, defaultBound = null } = {}) {
+  const rows = new Map();
+  const unmatched = [];
+
+  for (const { scale, score } of scores) {
+    const words = splitWords(scale);
+    const dimension = findLabel(words, dimensions);
+    const bound = findLabel(words, bounds);
+    const definition = words
+      .filter((word) => word !== dimension?.word && word !== bound?.word)
+      .join(" ")
+      .trim();
+
+    const dimensionKey = dimension?.key || defaultDimension;
+    const boundKey = bound?.key || defaultBound;
+    if (!definition || !dimensionKey || !boundKey) {
+      unmatched.push(scale);
+      continue;
+    }
+
+    if (!rows.has(definition)) {
+      rows.set(definition, createPatRow(definition));
+    }
+    rows.get(definition)[dimensionKey][boundKey] = score;
+  }
+
+  return { data: [...rows.values()], unmatched };
+}
+
+/**
+ * Split a label into words ("Führung (Wollen) Max" → ["Führung", "Wollen", "Max"])
+ */
+function splitWords(text) {
+  return String(text).split(/[\s_()[\]/:]+/).filter(Boolean);
+}
+
+/**
+ * Find the first word matching one of the labels (case-insensitive)
+ * @returns {Object|null} - { key, word }
+ */
+function findLabel(words, labelsByKey) {
+  for (const word of words) {
+    const lower = word.toLowerCase();
+    for (const [key, labels] of Object.entries(labelsByKey)) {
+      if (labels.some((label) => label.toLowerCase() === lower)) {
+        return { key, word };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse the rows of a PAT table into PAT data rows
+ * Columns are found by their header labels, the configured index is the fallback.
+ * Every definition needs a Können and a Wollen row: the dimension is read from the
+ * dimension column, rows without a dimension label take the next missing dimension.
+ * A row without a definition continues the definition above it (e.g. a rowspan cell).
+ * Empty, invalid and out-of-range values, and ranges violating min ≤ mitte ≤ max, are
+ * written as null and reported in the 'warnings' of the data row.
+ * @param {Object} table - Table text ({ headers: string[], rows: string[][] })
+ * @param {Object} options - Table definition
+ * @param {Object} options.columns - Column definitions ({ header, index }) of definition, dimension, min, max and mitte
+ * @param {Object} options.dimensions - Dimension to labels, e.g. { koennen: ["Können"], wollen: ["Wollen"] }
+ * @param {Object} options.range - Allowed values ({ min, max }, optional)
+ * @returns {Object} - { data: PAT rows with 'warnings', warnings: [{ row, message }] for rows without a definition }
+ */
+export function parsePatTable({ headers, rows }, { columns, dimensions = {}, range = {} }) {
+  const width = Math.max(headers.length, ...rows.map((cells) => cells.length));
+  const indexes = Object.fromEntries(
+    Object.entries(columns).map(([field, column]) => [field, findHeaderIndex(headers, column)])
+  );
+
+  const groups = [];
+  const warnings = [];
+
+  rows.forEach((cells, rowIndex) => {
+    const row = rowIndex + 1;
+    // Rows shortened by rowspan cells are missing their leading cells
+    const offset = width - cells.length;
+    const cell = (field) => {
+      const index = indexes[field] - offset;
+      return indexes[field] >= 0 && index >= 0 ? String(cells[index] ?? "").trim() : "";
+    };
+
+    const definition = cell("definition");
+    let group = groups[groups.length - 1];
+    if (definition && definition !== group?.definition) {
+      group = { definition, rows: {}, warnings: [] };
+      groups.push(group);
+    } else if (!group) {
+      warnings.push({ row, message: "Row without definition" });
+      return;
+    }
+
+    const labelled = findLabel(splitWords(cell("dimension")), dimensions)?.key;
+    const dimension = labelled || PAT_DIMENSIONS.find((key) => !group.rows[key]);
+    if (!dimension || group.rows[dimension]) {
+      group.warnings.push(`Row ${row}: unexpected ${labelled ? `second ${dimensionLabel(dimensions, labelled)} ` : ""}row, ignored`);
+      return;
+    }
+
+    group.rows[dimension] = { row, values: Object.fromEntries(PAT_BOUNDS.map((bound) => [bound, cell(bound)])) };
+  });
+
+  const data = groups.map((group) => {
+    const patRow = { ...createPatRow(group.definition), warnings: group.warnings };
+
+    for (const dimension of PAT_DIMENSIONS) {
+      const label = dimensionLabel(dimensions, dimension);
+      const source = group.rows[dimension];
+      if (!source) {
+        patRow.warnings.push(`${label} row is missing`);
+        continue;
+      }
+
+      for (const bound of PAT_BOUNDS) {
+        const text = source.values[bound];
+        const value = parseNumber(text);
+        if (!text) {
+          patRow.warnings.push(`${label} ${bound} is empty`);
+        } else if (value === null) {
+          patRow.warnings.push(`${label} ${bound} is not a number: "${text}"`);
+        } else if ((range.min !== undefined && value < range.min) || (range.max !== undefined && value > range.max)) {
+          patRow.warnings.push(`${label} ${bound} ${value} is outside ${range.min ?? "-∞"}..${range.max ?? "∞"}`);
+        } else {
+          patRow[dimension][bound] = value;
+        }
+      }
+
+      const { min, max, mitte } = patRow[dimension];
+      const ordered = [min, mitte, max].filter((value) => value !== null);
+      if (ordered.some((value, index) => index > 0 && value < ordered[index - 1])) {
+        patRow.warnings.push(`${label} violates min ≤ mitte ≤ max (min ${min}, mitte ${mitte}, max ${max})`);
+        patRow[dimension] = createPatRow(group.definition)[dimension];
+      }
+    }
+
+    return patRow;
+  });
+
+  return { data, warnings };
+}
+
+/**
+ * Index of a column by its header labels (whole header first, then single words)
+ * Words are compared whole, so the label "Min" does not match a "Dimension" header
+ */
+function findHeaderIndex(headers, { header, index = -1 }) {
+  const labels = [].concat(header || []).map((label) => label.toLowerCase());
+  const texts = headers.map((text) => String(text).trim().toLowerCase());
+
+  const exact = texts.findIndex((text) => labels.includes(text));
+  if (exact >= 0) {
+    return exact;
+  }
+  const word = texts.findIndex((text) => splitWords(text).some((part) => labels.includes(part)));
+  return word >= 0 ? word : index;
+}
+
+/**
+ * Display label of a dimension (first configured label, e.g. "Können")
+ */
+function dimensionLabel(dimensions, key) {
+  return dimensions[key]?.[0] || key;
+}
+
+/**
+ * Compare two PATs ({ metadata, data })
+ * Definitions are matched by name; 'warnings' of the data rows are not compared.
+ * @param {Object} previous - Earlier PAT
+ * @param {Object} current - Later PAT
+ * @returns {Object} - { hasChanges, metadata: [{ field, before, after }], addedDefinitions, removedDefinitions, values: [{ definition, dimension, bound, before, after }] }
+ */
+export function diffPat(previous, current) {
+  const fields = [...new Set([...Object.keys(previous.metadata || {}), ...Object.keys(current.metadata || {})])];
+  const metadata = fields
+    .map((field) => ({ field, before: previous.metadata?.[field] ?? null, after: current.metadata?.[field] ?? null }))
+    .filter(({ before, after }) => before !== after);
+
+  const previousRows = new Map((previous.data || []).map((row) => [row.definition, row]));
+  const currentRows = new Map((current.data || []).map((row) => [row.definition, row]));
+
+  const addedDefinitions = [...currentRows.keys()].filter((definition) => !previousRows.has(definition));
+  const removedDefinitions = [...previousRows.keys()].filter((definition) => !currentRows.has(definition));
+
+  const values = [];
+  for (const [definition, row] of currentRows) {
+    const before = previousRows.get(definition);
+    if (!before) {
+      continue;
+    }
+    for (const dimension of PAT_DIMENSIONS) {
+      for (const bound of PAT_BOUNDS) {
+        const oldValue = before[dimension]?.[bound] ?? null;
+        const newValue = row[dimension]?.[bound] ?? null;
+        if (oldValue !== newValue) {
+          values.push({ definition, dimension, bound, before: oldValue, after: newValue });
+        }
+      }
+    }
+  }
+
+  return {
+    hasChanges: metadata.length + addedDefinitions.length + removedDefinitions.length + values.length > 0,
+    metadata,
+    addedDefinitions,
+    removedDefinitions,
+    values
+  };
+}
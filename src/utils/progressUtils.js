@@ -1,8 +1,105 @@
 /**
  * Progress update utilities for integration with the web UI
  * Sends progress updates to the web UI via HTTP callbacks
+ *
+ * Every update carries a 'sequence' number that only grows during a run (also across
+ * migrations), so the web UI can drop updates arriving out of order. Every request times out
+ * after REQUEST_TIMEOUT_MS. Progress steps are sent once and not waited for, a slow web UI
+ * must not hold up the scraping; terminal updates are retried with exponential backoff,
+ * after the steps still in flight. Terminal updates (COMPLETED / FAILED) are kept in an
+ * outbox in the default KeyValueStore until they were delivered; the outbox is re-sent
+ * before the actor exits and after a restart. In discover mode nothing is written to the
+ * KeyValueStore, the outbox then only lives in memory.
+ *
+ * Requests are signed with HMAC-SHA256 (see signatureUtils.js); PROGRESS_AUTH_MODE=bearer
+ * sends ACTOR_SECRET as a Bearer token instead, for web UIs that do not verify signatures yet.
  */
 
+import { Actor } from "apify";
+import pRetry, { AbortError } from "p-retry";
+import { signPayload } from "./signatureUtils.js";
+
+const STATE_KEY = "PROGRESS_CLIENT_STATE";
+
+const TERMINAL_STATUSES = ["COMPLETED", "FAILED"];
+
+// Progress steps are frequent and soon outdated, terminal updates are worth waiting for
+const RETRIES = { progress: 0, terminal: 5 };
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const BACKOFF = { factor: 2, minTimeout: 500, maxTimeout: 8000 };
+
+const state = {
+  sequence: 0,
+  outbox: [],
+  // Deliveries of progress steps that are not waited for
+  inFlight: new Set(),
+  initialized: false,
+  // Off until initProgressClient() was called, and in discover mode
+  persist: false
+};
+
+/**
+ * Load the sequence number and the outbox of an earlier instance of the run
+ * and persist them whenever the platform asks for it (e.g. before a migration)
+ * Call once after Actor.init(); pending terminal updates are re-sent right away.
+ * @param {Object} params - Client parameters
+ * @param {boolean} params.persist - Persist the sequence and the outbox (default true, false in discover mode)
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<void>}
+ */
+export async function initProgressClient({ persist = true, log }) {
+  if (state.initialized) {
+    return;
+  }
+  state.initialized = true;
+  state.persist = persist;
+
+  try {
+    const stored = await Actor.getValue(STATE_KEY);
+    if (stored) {
+      state.sequence = Math.max(state.sequence, stored.sequence || 0);
+      state.outbox.push(...(stored.outbox || []));
+    }
+  } catch (error) {
+    logWarning(log, `Could not load the progress outbox: ${error.message}`);
+  }
+
+  Actor.on("persistState", () => persistState(log));
+
+  if (state.outbox.length > 0) {
+    log.info(`Re-sending ${state.outbox.length} pending terminal progress update(s)`);
+    await flushProgressOutbox({ log });
+  }
+}
+
+/**
+ * Re-send the terminal updates that could not be delivered yet
+ * Call before the actor exits; updates that still fail stay in the persisted outbox.
+ * @param {Object} params - Client parameters
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<number>} - Number of updates still pending
+ */
+export async function flushProgressOutbox({ log }) {
+  if (!process.env.FRONT_URL || !process.env.ACTOR_SECRET) {
+    return state.outbox.length;
+  }
+
+  await settleInFlight();
+  for (const payload of [...state.outbox]) {
+    if (await deliver({ payload, retries: RETRIES.terminal, log })) {
+      state.outbox = state.outbox.filter((pending) => pending.sequence !== payload.sequence);
+    }
+  }
+
+  await persistState(log);
+  if (state.outbox.length > 0) {
+    logWarning(log, `${state.outbox.length} terminal progress update(s) could not be delivered, kept in ${state.persist ? STATE_KEY : 'memory'}`);
+  }
+  return state.outbox.length;
+}
+
 /**
  * Send progress update to the web UI
  * @param {Object} params - Progress parameters
@@ -11,50 +108,65 @@
  * @param {number} params.total - Total number of items
  * @param {string} params.status - Current status (optional)
  * @param {string} params.description - Description of current step (optional)
+ * @param {string} params.code - Code currently being processed (optional, batch mode)
+ * @param {Object} params.codeProgress - Step progress of the current code, { done, total } (optional)
  * @param {Object} params.log - Logger instance
- * @returns {Promise<void>}
+ * @returns {Promise<void>} - Resolves at once for progress steps, after delivery for terminal updates
  */
-export async function sendProgressUpdate({ runId, done, total, status = 'RUNNING', description, log }) {
-  const frontUrl = process.env.FRONT_URL;
-  const actorSecret = process.env.ACTOR_SECRET;
-  
-  if (!frontUrl || !actorSecret) {
-    // Use a robust logging approach that handles different logger implementations
-    if (log && typeof log.warn === 'function') {
-      log.warn('Missing FRONT_URL or ACTOR_SECRET environment variables. Skipping progress update.');
-    } else if (log && typeof log.warning === 'function') {
-      log.warning('Missing FRONT_URL or ACTOR_SECRET environment variables. Skipping progress update.');
-    } else if (log && typeof log.info === 'function') {
-      log.info('Missing FRONT_URL or ACTOR_SECRET environment variables. Skipping progress update.');
-    } else {
-      console.log('Missing FRONT_URL or ACTOR_SECRET environment variables. Skipping progress update.');
+export async function sendProgressUpdate({ runId, done, total, status = 'RUNNING', description, code, codeProgress, log }) {
+  const delivery = send({
+    payload: { runId, done, total, status, description, code, codeProgress },
+    label: 'progress update',
+    log
+  }).then((delivered) => {
+    if (delivered) {
+      log.info(`Progress update sent: ${done}/${total} (${Math.round((done/total)*100)}%)`);
     }
+  });
+
+  if (TERMINAL_STATUSES.includes(status)) {
+    await delivery;
+    return;
+  }
+
+  state.inFlight.add(delivery);
+  delivery
+    .catch((error) => logWarning(log, `Progress update failed (non-critical): ${error.message}`))
+    .finally(() => state.inFlight.delete(delivery));
+}
+
+/**
+ * Send progress update for a single code of a batch run
+ * Overall progress is reported as codes finished / codes total, the step
+ * progress of the code currently being processed is sent alongside it
+ * @param {Object} params - Progress parameters
+ * @param {string} params.runId - The Apify run ID
+ * @param {Object} params.batch - Shared batch state ({ done, total })
+ * @param {string} params.code - Code currently being processed
+ * @param {number} params.step - Current step for this code
+ * @param {number} params.steps - Total steps for this code
+ * @param {string} params.description - Description of current step
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<void>}
+ */
+export async function sendBatchProgressUpdate({ runId, batch, code, step, steps, description, log }) {
+  if (!runId) {
     return;
   }
   
   try {
-    const response = await fetch(`${frontUrl}/api/actor-update`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${actorSecret}`,
-      },
-      body: JSON.stringify({
-        runId,
-        done,
-        total,
-        status,
-        description
-      }),
+    await sendProgressUpdate({
+      runId,
+      done: batch.done,
+      total: batch.total,
+      description: `${code}: ${description}`,
+      code,
+      codeProgress: { done: step, total: steps },
+      log
     });
-    
-    if (!response.ok) {
-      log.error(`Failed to send progress update: ${response.status} ${response.statusText}`);
-    } else {
-      log.info(`Progress update sent: ${done}/${total} (${Math.round((done/total)*100)}%)`);
-    }
-  } catch (error) {
-    log.error(`Error sending progress update: ${error.message}`);
+  } catch (progressError) {
+    // Don't fail the main process due to progress update errors
+    log.info(`Progress update failed (non-critical): ${progressError.message}`);
   }
 }
 
@@ -86,44 +198,134 @@ export async function sendCompletionUpdate({ runId, total, log }) {
  * @returns {Promise<void>}
  */
 export async function sendErrorUpdate({ runId, error, log }) {
-  const frontUrl = process.env.FRONT_URL;
-  const actorSecret = process.env.ACTOR_SECRET;
-  
-  if (!frontUrl || !actorSecret) {
-    // Use a robust logging approach that handles different logger implementations
-    if (log && typeof log.warn === 'function') {
-      log.warn('Missing FRONT_URL or ACTOR_SECRET environment variables. Skipping error update.');
-    } else if (log && typeof log.warning === 'function') {
-      log.warning('Missing FRONT_URL or ACTOR_SECRET environment variables. Skipping error update.');
-    } else if (log && typeof log.info === 'function') {
-      log.info('Missing FRONT_URL or ACTOR_SECRET environment variables. Skipping error update.');
-    } else {
-      console.log('Missing FRONT_URL or ACTOR_SECRET environment variables. Skipping error update.');
-    }
-    return;
+  const delivered = await send({
+    payload: { runId, status: 'FAILED', error: error.message || error, description: 'Failed' },
+    label: 'error update',
+    log
+  });
+
+  if (delivered) {
+    log.info('Error update sent to web UI');
   }
-  
+}
+
+/**
+ * Number and send an update; terminal updates go through the persisted outbox
+ * @returns {Promise<boolean>} - True if the update was delivered
+ */
+async function send({ payload, label, log }) {
+  if (!process.env.FRONT_URL || !process.env.ACTOR_SECRET) {
+    logWarning(log, `Missing FRONT_URL or ACTOR_SECRET environment variables. Skipping ${label}.`);
+    return false;
+  }
+
+  const numbered = { ...payload, sequence: ++state.sequence, sentAt: new Date().toISOString() };
+  const terminal = TERMINAL_STATUSES.includes(numbered.status);
+
+  if (terminal) {
+    state.outbox.push(numbered);
+    await persistState(log);
+    // The last steps must not arrive after the terminal update, nor be cut off when the actor exits
+    await settleInFlight();
+  }
+
+  const delivered = await deliver({ payload: numbered, retries: terminal ? RETRIES.terminal : RETRIES.progress, log });
+
+  if (terminal && delivered) {
+    state.outbox = state.outbox.filter((pending) => pending.sequence !== numbered.sequence);
+    await persistState(log);
+  }
+  if (!delivered) {
+    log.error(`Failed to send ${label} #${numbered.sequence}${terminal ? ', kept in the outbox' : ''}`);
+  }
+  return delivered;
+}
+
+/**
+ * Wait until the progress steps in flight were delivered or failed
+ */
+async function settleInFlight() {
+  await Promise.allSettled([...state.inFlight]);
+}
+
+/**
+ * POST an update with bounded retries and exponential backoff
+ * Every attempt times out after REQUEST_TIMEOUT_MS; client errors other than 408 and 429 are not retried.
+ * @returns {Promise<boolean>} - True if the web UI accepted the update
+ */
+async function deliver({ payload, retries, log }) {
+  const body = JSON.stringify(payload);
+
   try {
-    const response = await fetch(`${frontUrl}/api/actor-update`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${actorSecret}`,
+    await pRetry(async () => {
+      // Every attempt gets a fresh timestamp and nonce, the web UI may have seen the last one
+      const response = await fetch(`${process.env.FRONT_URL}/api/actor-update`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders(body),
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        const message = `${response.status} ${response.statusText}`;
+        const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw retryable ? new Error(message) : new AbortError(message);
+      }
+    }, {
+      retries,
+      ...BACKOFF,
+      onFailedAttempt: (error) => {
+        logWarning(log, `Progress update #${payload.sequence} attempt ${error.attemptNumber} failed: ${error.message}`);
       },
-      body: JSON.stringify({
-        runId,
-        status: 'FAILED',
-        error: error.message || error,
-        description: 'Failed'
-      }),
     });
-    
-    if (!response.ok) {
-      log.error(`Failed to send error update: ${response.status} ${response.statusText}`);
-    } else {
-      log.info('Error update sent to web UI');
-    }
-  } catch (err) {
-    log.error(`Error sending error update: ${err.message}`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Authentication headers of a request body: HMAC signature headers, or the plain
+ * Bearer token while the web UI still expects it (PROGRESS_AUTH_MODE=bearer)
+ */
+function authHeaders(body) {
+  const secret = process.env.ACTOR_SECRET;
+  if ((process.env.PROGRESS_AUTH_MODE || 'hmac').toLowerCase() === 'bearer') {
+    return { 'Authorization': `Bearer ${secret}` };
+  }
+  return signPayload({ body, secret });
+}
+
+/**
+ * Store the sequence number and the outbox in the default KeyValueStore
+ * A failed write is only logged, delivery goes on with the state in memory
+ */
+async function persistState(log = console) {
+  if (!state.persist) {
+    return;
+  }
+
+  try {
+    await Actor.setValue(STATE_KEY, { sequence: state.sequence, outbox: state.outbox });
+  } catch (error) {
+    logWarning(log, `Could not persist the progress outbox: ${error.message}`);
+  }
+}
+
+/**
+ * Log a warning with loggers that name it 'warn' (console) or 'warning' (crawlee)
+ */
+function logWarning(log, message) {
+  if (log && typeof log.warn === 'function') {
+    log.warn(message);
+  } else if (log && typeof log.warning === 'function') {
+    log.warning(message);
+  } else if (log && typeof log.info === 'function') {
+    log.info(message);
+  } else {
+    console.log(message);
   }
 }
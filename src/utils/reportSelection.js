@@ -0,0 +1,98 @@
+/**
+ * Report selection utilities for the unified scraper actor
+ * Restricts a run to some of the reports of a code via the 'reports' (allow-list)
+ * and 'excludeReports' (deny-list) inputs. Names are matched case-insensitively
+ * against the report names: config.fileTypes and report flow names for HR Cockpit,
+ * the report button labels for Profiling Values.
+ */
+
+/**
+ * Build the report selection from the actor input
+ * @param {Object} input - Actor input
+ * @returns {Object} - Selection ({ include: string[]|null, exclude: string[] })
+ */
+export function normalizeReportSelection(input) {
+  const include = normalizeNames(input.reports, 'reports');
+  const exclude = normalizeNames(input.excludeReports, 'excludeReports');
+
+  return {
+    // An empty allow-list means "all reports"
+    include: include.length > 0 ? include : null,
+    exclude
+  };
+}
+
+/**
+ * Make sure a report is part of a selection
+ * Without an allow-list the report becomes the only selected one; it is removed from the deny-list
+ * @param {Object} selection - Selection built by normalizeReportSelection
+ * @param {string} name - Report name
+ * @returns {Object} - The new selection
+ */
+export function requireReport(selection, name) {
+  const key = normalizeName(name);
+
+  return {
+    include: [...new Set([...(selection.include || []), key])],
+    exclude: selection.exclude.filter((excluded) => excluded !== key)
+  };
+}
+
+/**
+ * Check whether a report is selected for download
+ * @param {string} name - Report name (file type or button label)
+ * @param {Object|null} selection - Selection built by normalizeReportSelection (optional)
+ * @returns {boolean} - True if the report should be downloaded
+ */
+export function isReportSelected(name, selection) {
+  if (!selection) {
+    return true;
+  }
+
+  const key = normalizeName(name);
+  if (selection.include && !selection.include.includes(key)) {
+    return false;
+  }
+  return !selection.exclude.includes(key);
+}
+
+/**
+ * Human readable description of a selection for logs
+ * @param {Object|null} selection - Selection built by normalizeReportSelection
+ * @returns {string} - Description, e.g. "only: pdf-report; except: ppt-report"
+ */
+export function describeReportSelection(selection) {
+  if (!selection || (!selection.include && selection.exclude.length === 0)) {
+    return 'all reports';
+  }
+
+  const parts = [];
+  if (selection.include) {
+    parts.push(`only: ${selection.include.join(', ')}`);
+  }
+  if (selection.exclude.length > 0) {
+    parts.push(`except: ${selection.exclude.join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Validate and normalize a list of report names from the input
+ */
+function normalizeNames(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some((name) => typeof name !== 'string')) {
+    throw new Error(`Invalid parameter: '${field}' must be a list of report names`);
+  }
+
+  return [...new Set(value.map(normalizeName).filter(Boolean))];
+}
+
+/**
+ * Comparable form of a report name
+ */
+function normalizeName(name) {
+  return String(name ?? '').trim().toLowerCase();
+}
@@ -0,0 +1,131 @@
+/**
+ * Schema utilities for the unified scraper actor
+ * Validates vendor JSON against versioned schemas and normalizes it, so a changed
+ * format fails with a SchemaDriftError instead of passing bad data downstream.
+ *
+ * Schemas use a small subset of JSON Schema:
+ *   { type, properties, required, items, minItems, enum }
+ * 'type' is one type or a list of types ("object", "array", "string", "number", "integer", "boolean", "null").
+ */
+
+import { SchemaDriftError } from "./errors.js";
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema (see above)
+ * @param {string} path - Path of the value, used in the issues (default "$")
+ * @returns {Object[]} - Issues ({ path, message }), empty if the value is valid
+ */
+export function validateSchema(value, schema, path = "$") {
+  const issues = [];
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((type) => hasType(value, type))) {
+    issues.push({ path, message: `expected ${types.join(" or ")}, got ${describeType(value)}` });
+    return issues;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({ path, message: `expected one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}, got ${JSON.stringify(value)}` });
+  }
+
+  if (hasType(value, "object")) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        issues.push({ path: `${path}.${key}`, message: "missing" });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        issues.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issues.push({ path, message: `expected at least ${schema.minItems} item(s), got ${value.length}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => issues.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a document against the schema of its version and normalize it
+ * The version is read from 'versionPath'; documents without a version are checked against
+ * every schema, the first one that fits is used.
+ * @param {Object} params - Parameters
+ * @param {*} params.document - Parsed JSON document
+ * @param {Object} params.definition - { name, versionPath, schemas: [{ version, schema, normalize(document) }] }
+ * @returns {Object} - Normalized record ({ schemaVersion, ...normalize(document) })
+ * @throws {SchemaDriftError} - If the version is unknown or the document does not fit any schema
+ */
+export function normalizeVersioned({ document, definition }) {
+  const { name, versionPath, schemas } = definition;
+  const declared = versionPath ? readPath(document, versionPath) : undefined;
+
+  let candidates = schemas;
+  if (declared !== undefined && declared !== null) {
+    candidates = schemas.filter((entry) => String(entry.version) === String(declared));
+    if (candidates.length === 0) {
+      throw new SchemaDriftError(name, {
+        issues: [{ path: `$.${versionPath}`, message: `unknown version ${JSON.stringify(declared)}, known: ${schemas.map((entry) => entry.version).join(", ")}` }]
+      });
+    }
+  }
+
+  let closest = null;
+  for (const entry of candidates) {
+    const issues = validateSchema(document, entry.schema);
+    if (issues.length === 0) {
+      return { schemaVersion: String(entry.version), ...entry.normalize(document) };
+    }
+    if (!closest || issues.length < closest.issues.length) {
+      closest = { version: String(entry.version), issues };
+    }
+  }
+
+  throw new SchemaDriftError(name, closest);
+}
+
+/**
+ * Read a dotted path ("meta.version") from an object
+ */
+function readPath(value, path) {
+  return path.split(".").reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+/**
+ * Check a value against one schema type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Type name of a value for issue messages
+ */
+function describeType(value) {
+  if (value === null) {
+    return "null";
+  }
+  return Array.isArray(value) ? "array" : typeof value;
+}
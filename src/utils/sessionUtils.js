@@ -0,0 +1,37 @@
+/**
+ * Session utilities for the unified scraper actor
+ * Handles the login shared by all code types of a platform
+ */
+
+import { logStep } from "./loggingUtils.js";
+
+/**
+ * Log in to a platform with the credentials configured for the code type
+ * @param {Object} params - Login parameters
+ * @param {Object} params.page - Playwright page showing the login form
+ * @param {string} params.codeType - Code type whose configuration is used
+ * @param {Object} params.config - Configuration for the code type
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<string>} - URL of the landing page after the login
+ */
+export async function loginToPlatform({ page, codeType, config, log }) {
+  logStep({ step: `Login to ${config.name}`, current: 1, total: 1, log });
+
+  const user = process.env[config.envCredentials.user];
+  const password = process.env[config.envCredentials.password];
+
+  if (!user || !password) {
+    throw new Error(`Missing credentials for ${codeType}. Please set ${config.envCredentials.user} and ${config.envCredentials.password} environment variables.`);
+  }
+
+  await page.locator(config.loginSelector.user).fill(user);
+  await page.locator(config.loginSelector.password).fill(password);
+  await page.click(config.loginSelector.submit);
+  log.info("Login form submitted successfully");
+
+  // Wait for an element that only exists once logged in
+  await page.locator(config.loginSelector.success).first().waitFor({ state: "visible", timeout: 60000 });
+  log.info(`Logged in to ${new URL(config.baseUrl).host}`);
+
+  return page.url();
+}
@@ -0,0 +1,97 @@
+/**
+ * Signature utilities for the progress callbacks
+ * Every request to the web UI is signed with HMAC-SHA256 over a timestamp, a nonce and the
+ * raw body, so a captured request can neither be altered nor replayed later:
+ *   X-Actor-Timestamp: 1718000000                           (unix time in seconds)
+ *   X-Actor-Nonce: 6f0c7d9e-...                             (random UUID, unique per request)
+ *   X-Actor-Signature: v1=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<body>">
+ * The key is ACTOR_SECRET. The module only depends on node:crypto, so the web UI can copy it
+ * and use verifySignature in its endpoint (see README, "Authentication").
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+
+export const SIGNATURE_HEADERS = {
+  timestamp: "X-Actor-Timestamp",
+  nonce: "X-Actor-Nonce",
+  signature: "X-Actor-Signature"
+};
+
+export const SIGNATURE_VERSION = "v1";
+
+// Requests older or further in the future than this are rejected
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Sign a request body
+ * @param {Object} params - Signing parameters
+ * @param {string} params.body - Raw request body, exactly as it is sent
+ * @param {string} params.secret - Shared secret
+ * @param {number} params.timestamp - Unix time in seconds (default now)
+ * @param {string} params.nonce - Unique request id (default a random UUID)
+ * @returns {Object} - Signature headers
+ */
+export function signPayload({ body, secret, timestamp = Math.floor(Date.now() / 1000), nonce = randomUUID() }) {
+  return {
+    [SIGNATURE_HEADERS.timestamp]: String(timestamp),
+    [SIGNATURE_HEADERS.nonce]: nonce,
+    [SIGNATURE_HEADERS.signature]: `${SIGNATURE_VERSION}=${computeSignature({ body, secret, timestamp, nonce })}`
+  };
+}
+
+/**
+ * Verify the signature headers of a request
+ * The nonce is only checked after the signature, so forged requests cannot fill the nonce store.
+ * @param {Object} params - Verification parameters
+ * @param {string} params.body - Raw request body (read it as text before parsing the JSON)
+ * @param {Object} params.headers - Request headers (a Headers object or a plain object)
+ * @param {string} params.secret - Shared secret
+ * @param {number} params.toleranceSeconds - Maximum age of a request (default 300)
+ * @param {Function} params.isNonceUsed - async (nonce) => boolean, must also remember the nonce for
+ *   at least the tolerance window (optional, without it replays within the window are not detected)
+ * @param {number} params.now - Current unix time in seconds (default now)
+ * @returns {Promise<Object>} - { valid: true } or { valid: false, reason }
+ */
+export async function verifySignature({ body, headers, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, isNonceUsed, now = Math.floor(Date.now() / 1000) }) {
+  const timestamp = readHeader(headers, SIGNATURE_HEADERS.timestamp);
+  const nonce = readHeader(headers, SIGNATURE_HEADERS.nonce);
+  const signature = readHeader(headers, SIGNATURE_HEADERS.signature);
+
+  if (!timestamp || !nonce || !signature) {
+    return { valid: false, reason: "missing signature headers" };
+  }
+  if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > toleranceSeconds) {
+    return { valid: false, reason: "timestamp outside the tolerance window" };
+  }
+
+  const [version, digest = ""] = signature.split("=", 2);
+  const expected = Buffer.from(computeSignature({ body, secret, timestamp, nonce }), "hex");
+  const received = Buffer.from(/^[0-9a-f]+$/i.test(digest) ? digest : "", "hex");
+  if (version !== SIGNATURE_VERSION || received.length !== expected.length || !timingSafeEqual(received, expected)) {
+    return { valid: false, reason: "signature mismatch" };
+  }
+
+  if (isNonceUsed && await isNonceUsed(nonce)) {
+    return { valid: false, reason: "nonce already used" };
+  }
+  return { valid: true };
+}
+
+/**
+ * Hex HMAC-SHA256 of "<timestamp>.<nonce>.<body>"
+ */
+function computeSignature({ body, secret, timestamp, nonce }) {
+  return createHmac("sha256", secret).update(`${timestamp}.${nonce}.${body}`).digest("hex");
+}
+
+/**
+ * Read a header case-insensitively from a Headers object or a plain object
+ */
+function readHeader(headers, name) {
+  if (typeof headers?.get === "function") {
+    return headers.get(name);
+  }
+  const key = Object.keys(headers || {}).find((header) => header.toLowerCase() === name.toLowerCase());
+  const value = key ? headers[key] : null;
+  return Array.isArray(value) ? value[0] : value;
+}
@@ -0,0 +1,76 @@
+/**
+ * PAT snapshot utilities for the unified scraper actor
+ * Every extracted PAT ({ metadata, data }) is kept as a numbered version per code in a
+ * named KeyValueStore, so a profile scraped again can be compared with its last version:
+ *   PAT_<codeType>_<code>       latest version ({ version, savedAt, metadata, data })
+ *   PAT_<codeType>_<code>_v<n>  every version
+ * A new version is only stored when the PAT changed.
+ */
+
+import { KeyValueStore } from "crawlee";
+import { diffPat } from "./patUtils.js";
+import { sanitizeKeyPart } from "./storageUtils.js";
+
+export const DEFAULT_SNAPSHOT_STORE_NAME = "unified-scraper-pat-snapshots";
+
+/**
+ * Load the latest snapshot of a code
+ * @param {Object} params - Snapshot parameters
+ * @param {string} params.codeType - The code type
+ * @param {string} params.code - The code
+ * @param {string} params.storeName - Name of the KeyValueStore holding the snapshots
+ * @returns {Promise<Object|null>} - Latest snapshot, null if the code has none yet
+ */
+export async function loadSnapshot({ codeType, code, storeName = DEFAULT_SNAPSHOT_STORE_NAME }) {
+  const store = await KeyValueStore.open(storeName);
+  return store.getValue(getSnapshotKey(codeType, code));
+}
+
+/**
+ * Compare a PAT with the latest snapshot of its code and store it as a new version if it changed
+ * @param {Object} params - Snapshot parameters
+ * @param {string} params.codeType - The code type
+ * @param {string} params.code - The code
+ * @param {Object} params.pat - Extracted PAT ({ metadata, data })
+ * @param {string} params.storeName - Name of the KeyValueStore holding the snapshots
+ * @returns {Promise<Object>} - { snapshot: { key, version, previousVersion, stored }, diff } (diff is null for the first version)
+ */
+export async function recordSnapshot({ codeType, code, pat, storeName = DEFAULT_SNAPSHOT_STORE_NAME }) {
+  const store = await KeyValueStore.open(storeName);
+  const key = getSnapshotKey(codeType, code);
+  const previous = await store.getValue(key);
+
+  const current = { metadata: pat.metadata, data: pat.data };
+  const diff = previous ? diffPat(previous, current) : null;
+
+  if (previous && !diff.hasChanges) {
+    return {
+      snapshot: { key: getVersionKey(key, previous.version), version: previous.version, previousVersion: previous.version, stored: false },
+      diff
+    };
+  }
+
+  const version = (previous?.version || 0) + 1;
+  const snapshot = { codeType, code, version, savedAt: new Date().toISOString(), ...current };
+  await store.setValue(getVersionKey(key, version), snapshot);
+  await store.setValue(key, snapshot);
+
+  return {
+    snapshot: { key: getVersionKey(key, version), version, previousVersion: previous?.version ?? null, stored: true },
+    diff
+  };
+}
+
+/**
+ * KeyValueStore key of the latest snapshot of a code
+ */
+function getSnapshotKey(codeType, code) {
+  return `PAT_${sanitizeKeyPart(codeType)}_${sanitizeKeyPart(code)}`;
+}
+
+/**
+ * KeyValueStore key of one version of a snapshot
+ */
+function getVersionKey(key, version) {
+  return `${key}_v${version}`;
+}
@@ -0,0 +1,121 @@
+/**
+ * Storage utilities for the unified scraper actor
+ * Every artifact is stored under a key built from its code type, code, report type
+ * (and language) plus a hash of its content, so the files of different codes, and of
+ * runs sharing a store, never overwrite each other:
+ *   HR_COCKPIT_ABC123_Standard-Report_DE_3f2a9c1d0b7e4a65.pdf
+ * Keys keep to the characters a KeyValueStore allows (a-z A-Z 0-9 ! - _ . ' ( ), at most 256).
+ */
+
+import { createHash } from "node:crypto";
+import { KeyValueStore } from "crawlee";
+
+// Leaves room for five parts, the hash and the extension within the 256 characters of a key
+const MAX_PART_LENGTH = 40;
+
+const HASH_LENGTH = 16;
+
+/**
+ * Build the KeyValueStore key of an artifact
+ * @param {Object} params - Key parts
+ * @param {string} params.codeType - Code type, e.g. "HR_COCKPIT"
+ * @param {string} params.code - The processed code
+ * @param {string} params.reportType - Report type, e.g. "Standard-Report"
+ * @param {string|null} params.language - Report language (optional)
+ * @param {Buffer|string} params.content - File content, hashed into the key
+ * @param {string} params.extension - File extension without the dot (optional)
+ * @returns {string} - The key, e.g. "HR_COCKPIT_ABC123_Standard-Report_DE_3f2a9c1d0b7e4a65.pdf"
+ */
+export function buildRecordKey({ codeType, code, reportType, language = null, content, extension = "" }) {
+  const hash = createHash("sha256").update(content).digest("hex").slice(0, HASH_LENGTH);
+  const parts = [codeType, code, reportType, language]
+    .filter((part) => part !== null && part !== undefined && part !== "")
+    .map(sanitizeKeyPart);
+  const suffix = extension ? sanitizeKeyPart(extension).toLowerCase().slice(0, 10) : "";
+
+  return `${[...parts, hash].join("_")}${suffix ? `.${suffix}` : ""}`;
+}
+
+/**
+ * Public URL of a record of the default KeyValueStore
+ * @param {string} key - Record key
+ * @returns {string} - URL of the record
+ */
+export function getRecordUrl(key) {
+  return `https://api.apify.com/v2/key-value-stores/${process.env.ACTOR_DEFAULT_KEY_VALUE_STORE_ID}/records/${encodeURIComponent(key)}`;
+}
+
+/**
+ * Store an artifact in the default KeyValueStore under its key
+ * @param {Object} params - Key parts (see buildRecordKey) plus 'contentType'
+ * @returns {Promise<Object>} - { key, url }
+ */
+export async function saveArtifact({ codeType, code, reportType, language = null, content, contentType, extension = "" }) {
+  const key = buildRecordKey({ codeType, code, reportType, language, content, extension });
+  await KeyValueStore.setValue(key, content, { contentType });
+  return { key, url: getRecordUrl(key) };
+}
+
+/**
+ * Lower case extension of a file name without the dot ("" if it has none)
+ * @param {string} fileName - File name
+ * @returns {string} - The extension
+ */
+export function getExtension(fileName) {
+  const name = String(fileName || "");
+  return name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+}
+
+/**
+ * Content type of a file based on its extension
+ * @param {string} fileName - File name
+ * @returns {string} - The content type, "application/octet-stream" if unknown
+ */
+export function detectContentType(fileName) {
+  switch (getExtension(fileName)) {
+    case 'pdf':
+      return "application/pdf";
+    case 'pptx':
+      return "application/vnd.openxmlformats-officedocument.presentationml.presentation";
+    case 'ppt':
+      return "application/vnd.ms-powerpoint";
+    case 'docx':
+      return "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+    case 'doc':
+      return "application/msword";
+    case 'xlsx':
+      return "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+    case 'xls':
+      return "application/vnd.ms-excel";
+    case 'csv':
+      return "text/csv";
+    case 'json':
+      return "application/json";
+    case 'txt':
+      return "text/plain";
+    case 'xml':
+      return "application/xml";
+    case 'html':
+    case 'htm':
+      return "text/html";
+    default:
+      return "application/octet-stream";
+  }
+}
+
+/**
+ * Reduce a key part to the allowed characters
+ * Accents are dropped ("Führung" → "Fuhrung"), other characters become "-"
+ * @param {*} value - Key part
+ * @returns {string} - The sanitized part, "unknown" if nothing is left
+ */
+export function sanitizeKeyPart(value) {
+  const part = String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-zA-Z0-9!\-_.'()]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_PART_LENGTH);
+
+  return part || "unknown";
+}
@@ -0,0 +1,83 @@
+/**
+ * Run summary utilities for the unified scraper actor
+ * Collects the outcome of every item of a run into one combined summary
+ */
+
+import { isFatalError } from "./errors.js";
+
+/**
+ * Create the shared batch state for a run
+ * @param {Object[]} items - Items of the run ({ code, codeType })
+ * @returns {Object} - Batch state ({ total, done, succeeded, failed, results, fatalError })
+ */
+export function createBatch(items) {
+  return {
+    total: items.length,
+    done: 0,
+    succeeded: 0,
+    failed: 0,
+    results: [],
+    // Message of the first error that fails the whole run (e.g. schema drift)
+    fatalError: null
+  };
+}
+
+/**
+ * Record the outcome of a single item
+ * @param {Object} batch - Shared batch state
+ * @param {Object} params - Item outcome
+ * @param {string} params.code - The processed code
+ * @param {string} params.codeType - The code type of the item
+ * @param {Error|string} params.error - Error if the item failed (optional)
+ * @param {Object} params.details - Additional fields for the summary item, e.g. { entries, pagesScanned } (optional)
+ */
+export function recordItemResult(batch, { code, codeType, error, details = {} }) {
+  const status = error ? 'FAILED' : 'SUCCEEDED';
+
+  batch.results.push({
+    code,
+    codeType,
+    status,
+    ...details,
+    ...(error ? { error: error.message || error } : {})
+  });
+
+  batch.done++;
+  if (error && isFatalError(error) && !batch.fatalError) {
+    batch.fatalError = error.message;
+  }
+  if (error) {
+    batch.failed++;
+  } else {
+    batch.succeeded++;
+  }
+}
+
+/**
+ * Build the combined summary of a run
+ * @param {Object} batch - Shared batch state
+ * @returns {Object} - Summary with totals overall and per code type
+ */
+export function buildRunSummary(batch) {
+  const byCodeType = {};
+
+  for (const result of batch.results) {
+    const entry = byCodeType[result.codeType] || { total: 0, succeeded: 0, failed: 0 };
+    entry.total++;
+    if (result.status === 'SUCCEEDED') {
+      entry.succeeded++;
+    } else {
+      entry.failed++;
+    }
+    byCodeType[result.codeType] = entry;
+  }
+
+  return {
+    total: batch.total,
+    succeeded: batch.succeeded,
+    failed: batch.failed,
+    ...(batch.fatalError ? { fatalError: batch.fatalError } : {}),
+    byCodeType,
+    items: batch.results
+  };
+}
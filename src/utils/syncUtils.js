@@ -0,0 +1,175 @@
+/**
+ * Incremental sync utilities for the unified scraper actor
+ * Keeps a watermark per code type in a named KeyValueStore so scheduled runs
+ * only fetch the tests completed since the last successful run
+ */
+
+import { KeyValueStore } from "crawlee";
+import { recordItemResult } from "./summaryUtils.js";
+
+export const DEFAULT_SYNC_STORE_NAME = "unified-scraper-sync";
+
+/**
+ * Load the watermark of a code type
+ * @param {Object} params - Watermark parameters
+ * @param {string} params.codeType - The code type
+ * @param {string} params.storeName - Name of the KeyValueStore holding the watermarks
+ * @returns {Promise<Object>} - Watermark ({ lastCompletedAt, seen }), empty on the first run
+ */
+export async function loadWatermark({ codeType, storeName = DEFAULT_SYNC_STORE_NAME }) {
+  const store = await KeyValueStore.open(storeName);
+  const watermark = await store.getValue(getWatermarkKey(codeType));
+
+  return watermark || { codeType, lastCompletedAt: null, seen: {} };
+}
+
+/**
+ * Persist the watermark of a code type
+ * @param {Object} params - Watermark parameters
+ * @param {string} params.codeType - The code type
+ * @param {Object} params.watermark - Watermark to store
+ * @param {string} params.storeName - Name of the KeyValueStore holding the watermarks
+ * @returns {Promise<void>}
+ */
+export async function saveWatermark({ codeType, watermark, storeName = DEFAULT_SYNC_STORE_NAME }) {
+  const store = await KeyValueStore.open(storeName);
+  await store.setValue(getWatermarkKey(codeType), { ...watermark, codeType, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Select the listed entries that are new since the watermark
+ * An entry is new if its code was not synced yet and it was not completed
+ * before the watermark. Entries without a completion date are compared by code only.
+ * @param {Object[]} entries - Listed entries ({ code, completedAt })
+ * @param {Object} watermark - Current watermark
+ * @param {Date|null} since - Lower bound used while no watermark exists yet (optional)
+ * @returns {Object[]} - New entries, oldest first
+ */
+export function selectNewEntries(entries, watermark, since = null) {
+  const lowerBound = watermark.lastCompletedAt ? new Date(watermark.lastCompletedAt) : since;
+
+  return entries
+    .filter((entry) => !Object.hasOwn(watermark.seen, entry.code))
+    .filter((entry) => !lowerBound || !entry.completedAt || new Date(entry.completedAt) >= lowerBound)
+    .sort(compareByCompletion);
+}
+
+/**
+ * Advance the watermark past the entries that were synced successfully
+ * The completion timestamp never moves past a failed entry, so failed entries
+ * are picked up again by the next run. Seen codes are dropped once they can no longer
+ * be selected: dated ones when the watermark passes them, undated ones (which are only
+ * compared by code) when the listing no longer shows them.
+ * @param {Object} watermark - Current watermark
+ * @param {Object[]} entries - Entries that were processed in this run
+ * @param {Set<string>} succeededCodes - Codes that were downloaded successfully
+ * @param {Set<string>|null} listedCodes - Every code of this run's listing (null: undated codes are kept)
+ * @returns {Object} - The new watermark
+ */
+export function advanceWatermark(watermark, entries, succeededCodes, listedCodes = null) {
+  const succeeded = entries.filter((entry) => succeededCodes.has(entry.code));
+  const failed = entries.filter((entry) => !succeededCodes.has(entry.code));
+
+  let lastCompletedAt = watermark.lastCompletedAt;
+  const succeededDates = succeeded.map((entry) => entry.completedAt).filter(Boolean).sort();
+  if (succeededDates.length > 0) {
+    lastCompletedAt = maxIso(lastCompletedAt, succeededDates[succeededDates.length - 1]);
+  }
+
+  const failedDates = failed.map((entry) => entry.completedAt).filter(Boolean).sort();
+  if (lastCompletedAt && failedDates.length > 0 && failedDates[0] < lastCompletedAt) {
+    lastCompletedAt = failedDates[0];
+  }
+
+  const seen = { ...watermark.seen };
+  for (const entry of succeeded) {
+    seen[entry.code] = entry.completedAt || null;
+  }
+
+  // Keep the map small: codes completed before the watermark can no longer be selected,
+  // undated codes only as long as they are listed
+  for (const [code, completedAt] of Object.entries(seen)) {
+    const passed = completedAt
+      ? Boolean(lastCompletedAt) && completedAt < lastCompletedAt
+      : Boolean(listedCodes) && !listedCodes.has(code);
+    if (passed) {
+      delete seen[code];
+    }
+  }
+
+  return { ...watermark, lastCompletedAt, seen };
+}
+
+/**
+ * Start syncing a code type: select the new entries and add them to the batch
+ * @param {Object} params - Sync parameters
+ * @param {string} params.codeType - The code type
+ * @param {Object[]} params.entries - All listed entries ({ code, completedAt })
+ * @param {Object} params.sync - Sync settings ({ storeName, since })
+ * @param {Object} params.batch - Shared batch state
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<Object>} - Sync state ({ watermark, entries, listedCodes }) for finishSync
+ */
+export async function startSync({ codeType, entries, sync, batch, log }) {
+  const watermark = await loadWatermark({ codeType, storeName: sync.storeName });
+  const newEntries = selectNewEntries(entries, watermark, sync.since);
+
+  log.info(`Sync for ${codeType}: ${newEntries.length} new of ${entries.length} listed entries (watermark: ${watermark.lastCompletedAt || 'none'})`);
+
+  // The listing itself is one item of the batch, every new entry adds another
+  recordItemResult(batch, { code: null, codeType });
+  batch.total += newEntries.length;
+
+  return { watermark, entries: newEntries, listedCodes: new Set(entries.map((entry) => entry.code)) };
+}
+
+/**
+ * Finish syncing a code type: advance and persist the watermark past the successful entries
+ * @param {Object} params - Sync parameters
+ * @param {string} params.codeType - The code type
+ * @param {Object} params.syncState - State returned by startSync
+ * @param {Object} params.sync - Sync settings ({ storeName })
+ * @param {Object} params.batch - Shared batch state
+ * @param {Object} params.log - Logger instance
+ * @returns {Promise<Object>} - The stored watermark
+ */
+export async function finishSync({ codeType, syncState, sync, batch, log }) {
+  const succeededCodes = new Set(
+    batch.results
+      .filter((result) => result.codeType === codeType && result.code && result.status === 'SUCCEEDED')
+      .map((result) => result.code)
+  );
+
+  const watermark = advanceWatermark(syncState.watermark, syncState.entries, succeededCodes, syncState.listedCodes);
+  await saveWatermark({ codeType, watermark, storeName: sync.storeName });
+
+  log.info(`Sync watermark for ${codeType} advanced to ${watermark.lastCompletedAt || 'none'} (${Object.keys(watermark.seen).length} code(s) tracked)`);
+  return watermark;
+}
+
+/**
+ * KeyValueStore key of the watermark of a code type
+ */
+function getWatermarkKey(codeType) {
+  return `WATERMARK_${codeType}`;
+}
+
+/**
+ * Sort entries oldest first, entries without a date last
+ */
+function compareByCompletion(a, b) {
+  if (!a.completedAt || !b.completedAt) {
+    return (a.completedAt ? 0 : 1) - (b.completedAt ? 0 : 1);
+  }
+  return a.completedAt.localeCompare(b.completedAt);
+}
+
+/**
+ * Later of two ISO timestamps
+ */
+function maxIso(a, b) {
+  if (!a) {
+    return b;
+  }
+  return a > b ? a : b;
+}
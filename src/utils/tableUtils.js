@@ -0,0 +1,165 @@
+/**
+ * Table utilities for the unified scraper actor
+ * Reads result listings by their header labels instead of fixed column positions
+ */
+
+import { CodeNotFoundError, AmbiguousCodeError } from "./errors.js";
+
+/**
+ * Extract headers, cells and links of the largest table matching a selector
+ * @param {Object} page - Playwright page
+ * @param {string} tableSelector - Selector for the candidate tables
+ * @returns {Promise<Object>} - { headers: string[], rows: [{ index, cells: string[], links: [{ text, href, column }] }] }
+ */
+export async function extractTable(page, tableSelector = "table") {
+  return page.evaluate((selector) => {
+    const dataRowsOf = (table) => [...table.rows].filter((tr) => tr.querySelector("td"));
+
+    // Pick the table with the most data rows, layout tables only have a few
+    const tables = [...document.querySelectorAll(selector)];
+    const table = tables.sort((a, b) => dataRowsOf(b).length - dataRowsOf(a).length)[0];
+
+    if (!table) {
+      return { headers: [], rows: [] };
+    }
+
+    const headerRow = table.tHead?.rows[0] || [...table.rows].find((tr) => tr.querySelector("th"));
+    const headers = headerRow ? [...headerRow.cells].map((cell) => cell.innerText.trim()) : [];
+
+    const rows = dataRowsOf(table)
+      .filter((tr) => tr !== headerRow)
+      .map((tr, index) => ({
+        index,
+        cells: [...tr.cells].map((cell) => cell.innerText.trim()),
+        links: [...tr.querySelectorAll("a")].map((a) => ({
+          text: a.innerText.trim(),
+          href: a.href,
+          column: a.closest("td, th")?.cellIndex ?? -1
+        }))
+      }));
+
+    return { headers, rows };
+  }, tableSelector);
+}
+
+/**
+ * Find the index of the column whose header matches a label
+ * @param {string[]} headers - Header labels of the table
+ * @param {Object} column - Column definition ({ header: string|string[], index: number })
+ * @returns {number} - The column index, the fallback index if no header matches, or -1
+ */
+export function findColumnIndex(headers, { header, index = -1 }) {
+  const labels = (Array.isArray(header) ? header : [header])
+    .filter(Boolean)
+    .map((label) => label.toLowerCase());
+
+  const found = headers.findIndex((text) => labels.some((label) => text.toLowerCase().includes(label)));
+  return found >= 0 ? found : index;
+}
+
+/**
+ * Map the cells of a row to named fields
+ * @param {Object} row - Row as returned by extractTable
+ * @param {Object} columnIndexes - Field name to column index
+ * @returns {Object} - Field name to cell text (null for unknown columns)
+ */
+export function mapRowCells(row, columnIndexes) {
+  return Object.fromEntries(
+    Object.entries(columnIndexes).map(([field, index]) => [field, index >= 0 ? row.cells[index] ?? null : null])
+  );
+}
+
+/**
+ * Describe where a link sits in its table: column position, column header and link attributes
+ * Column spans are taken into account, so a link is matched with the header above it
+ * even when header and data cells are not aligned one to one
+ * @param {Object} locator - Playwright locator of the link
+ * @returns {Promise<Object>} - { column, header, text, title, href }
+ */
+export async function getLinkContext(locator) {
+  return locator.evaluate((a) => {
+    const cell = a.closest("td, th");
+    const table = a.closest("table");
+    const column = cell ? [...cell.parentElement.cells].slice(0, cell.cellIndex).reduce((sum, c) => sum + c.colSpan, 0) : -1;
+
+    let header = null;
+    const headerRow = table && (table.tHead?.rows[0] || [...table.rows].find((tr) => tr.querySelector("th")));
+    if (headerRow && column >= 0) {
+      let start = 0;
+      for (const headerCell of headerRow.cells) {
+        if (column < start + headerCell.colSpan) {
+          header = headerCell.innerText.trim();
+          break;
+        }
+        start += headerCell.colSpan;
+      }
+    }
+
+    return {
+      column,
+      header,
+      text: a.innerText.trim(),
+      title: a.title || a.getAttribute("aria-label") || "",
+      href: a.href
+    };
+  });
+}
+
+/**
+ * Find the one row of the largest matching table whose code cell equals a value exactly
+ * The cell is taken from the column matching 'column' (header labels, then index);
+ * if the table has no such column, any cell of the row may hold the value.
+ * The row is marked with a data attribute, so it can be addressed with the returned selector.
+ * @param {Object} params - Lookup parameters
+ * @param {Object} params.page - Playwright page
+ * @param {string} params.tableSelector - Selector for the candidate tables
+ * @param {Object} params.column - Column definition ({ header: string|string[], index: number })
+ * @param {string} params.value - The exact cell text, e.g. the code
+ * @param {string} params.marker - Name of the marker, rows marked earlier with it are unmarked
+ * @returns {Promise<Object>} - { selector, row: { index, cells } }
+ * @throws {CodeNotFoundError} - If no row matches
+ * @throws {AmbiguousCodeError} - If more than one row matches
+ */
+export async function findRowByCell({ page, tableSelector = "table", column = {}, value, marker = "code-row" }) {
+  const labels = (Array.isArray(column.header) ? column.header : [column.header]).filter(Boolean).map((label) => label.toLowerCase());
+
+  const matches = await page.evaluate(({ selector, headerLabels, fallbackIndex, cellText, rowMarker }) => {
+    const dataRowsOf = (table) => [...table.rows].filter((tr) => tr.querySelector("td"));
+    const normalize = (text) => text.replace(/\s+/g, " ").trim();
+
+    document.querySelectorAll(`[data-scraper-row="${rowMarker}"]`).forEach((tr) => tr.removeAttribute("data-scraper-row"));
+
+    const tables = [...document.querySelectorAll(selector)];
+    const table = tables.sort((a, b) => dataRowsOf(b).length - dataRowsOf(a).length)[0];
+    if (!table) {
+      return [];
+    }
+
+    const headerRow = table.tHead?.rows[0] || [...table.rows].find((tr) => tr.querySelector("th"));
+    const headers = headerRow ? [...headerRow.cells].map((cell) => normalize(cell.innerText).toLowerCase()) : [];
+    const found = headers.findIndex((text) => headerLabels.some((label) => text.includes(label)));
+    const columnIndex = found >= 0 ? found : fallbackIndex;
+
+    const rows = dataRowsOf(table)
+      .filter((tr) => tr !== headerRow)
+      .map((tr, index) => ({ tr, index }))
+      .filter(({ tr }) => {
+        const cells = columnIndex >= 0 ? [tr.cells[columnIndex]].filter(Boolean) : [...tr.cells];
+        return cells.some((cell) => normalize(cell.innerText) === cellText);
+      });
+
+    if (rows.length === 1) {
+      rows[0].tr.setAttribute("data-scraper-row", rowMarker);
+    }
+    return rows.map(({ tr, index }) => ({ index, cells: [...tr.cells].map((cell) => normalize(cell.innerText)) }));
+  }, { selector: tableSelector, headerLabels: labels, fallbackIndex: column.index ?? -1, cellText: String(value).trim(), rowMarker: marker });
+
+  if (matches.length === 0) {
+    throw new CodeNotFoundError(value, `Code ${value} not found in the table '${tableSelector}'`);
+  }
+  if (matches.length > 1) {
+    throw new AmbiguousCodeError(value, matches);
+  }
+
+  return { selector: `tr[data-scraper-row="${marker}"]`, row: matches[0] };
+}
@@ -0,0 +1,79 @@
+/**
+ * Wait utilities for the unified scraper actor
+ * Pages are waited for by their state (load state, elements, URL) instead of fixed sleeps.
+ * The only fixed pause is the politeness delay, and only where a platform configures one.
+ */
+
+/**
+ * Wait until the page has had no network activity for a quiet period
+ * Used after actions whose effect cannot be pinned to a single element, e.g. before a retry.
+ * Unlike waitForLoadState("networkidle"), which returns at once once the page reached that
+ * state, this waits for the requests that start or finish after the call.
+ * @param {Object} page - Playwright page
+ * @param {Object} options - Wait options
+ * @param {number} options.timeout - Maximum wait in ms (default 10000)
+ * @param {number} options.idleTime - Time without requests that counts as settled in ms (default 500)
+ * @returns {Promise<boolean>} - False if the page did not settle within the timeout
+ */
+export async function waitForSettled(page, { timeout = 10000, idleTime = 500 } = {}) {
+  const deadline = Date.now() + timeout;
+  const loaded = await page.waitForLoadState("load", { timeout }).then(() => true, () => false);
+  if (!loaded) {
+    return false;
+  }
+
+  let inFlight = 0;
+  let idleTimer = null;
+  let finish;
+  const settled = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  const armIdle = () => {
+    clearTimeout(idleTimer);
+    if (inFlight === 0) {
+      idleTimer = setTimeout(() => finish(true), idleTime);
+    }
+  };
+  const onRequest = () => {
+    inFlight++;
+    clearTimeout(idleTimer);
+  };
+  // Requests started before the call may finish as well, they must not count below zero
+  const onDone = () => {
+    inFlight = Math.max(0, inFlight - 1);
+    armIdle();
+  };
+
+  page.on("request", onRequest);
+  page.on("requestfinished", onDone);
+  page.on("requestfailed", onDone);
+  const timeoutTimer = setTimeout(() => finish(false), Math.max(0, deadline - Date.now()));
+  armIdle();
+
+  try {
+    return await settled;
+  } finally {
+    clearTimeout(idleTimer);
+    clearTimeout(timeoutTimer);
+    page.off("request", onRequest);
+    page.off("requestfinished", onDone);
+    page.off("requestfailed", onDone);
+  }
+}
+
+/**
+ * Pause between requests to a platform, if the platform configures a politeness delay
+ * @param {Object} params - Delay parameters
+ * @param {Object} params.config - Configuration for the code type ('politenessDelay' in ms, optional)
+ * @param {Object} params.log - Logger instance
+ */
+export async function politenessDelay({ config, log }) {
+  const delay = config.politenessDelay || 0;
+  if (delay <= 0) {
+    return;
+  }
+
+  log.debug(`Politeness delay: ${delay} ms`);
+  await new Promise((resolve) => setTimeout(resolve, delay));
+}
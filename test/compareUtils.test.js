@@ -0,0 +1,80 @@
+/**
+ * Tests for the PAT vs. JSON-Report comparison (compare mode)
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { comparePatWithReport } from "../src/utils/compareUtils.js";
+import { config as patConfig } from "../src/platforms/profilingValuesSoll.js";
+
+const DIMENSIONS = patConfig.patTable.dimensions;
+
+const PAT = {
+  data: [
+    { definition: "Führung", koennen: { min: 4, max: 8, mitte: 6 }, wollen: { min: 4, max: 8, mitte: 6 } },
+    { definition: "Kommunikation", koennen: { min: 5, max: 7, mitte: 6 }, wollen: { min: null, max: null, mitte: null } },
+    { definition: "Planung", koennen: { min: 3, max: 6, mitte: 4 }, wollen: { min: 3, max: 6, mitte: 4 } }
+  ]
+};
+
+const REPORT = {
+  dimensions: [{ id: "K", name: "Können" }, { id: "W", name: "Wollen" }],
+  scores: [
+    { dimension: "K", scale: "S1", name: "Führung", value: 6 },
+    { dimension: "W", scale: "S2", name: "Führung", value: 9.5 },
+    { dimension: "K", scale: "S3", name: "KOMMUNIKATION", value: 4 },
+    { dimension: "W", scale: "S4", name: "Kommunikation", value: 6 },
+    { dimension: "K", scale: "S5", name: "Belastbarkeit", value: 5 }
+  ]
+};
+
+const deviationOf = (result, definition, dimension) => result.deviations.find((entry) => entry.definition === definition && entry.dimension === dimension);
+
+describe("comparePatWithReport", () => {
+  const result = comparePatWithReport({ pat: PAT, report: REPORT, dimensions: DIMENSIONS });
+
+  test("rates every definition and dimension against its band", () => {
+    assert.equal(result.deviations.length, 6);
+    assert.deepEqual(deviationOf(result, "Führung", "koennen"), { definition: "Führung", dimension: "koennen", min: 4, max: 8, mitte: 6, score: 6, status: "inside", deviation: 0, deltaToMitte: 0 });
+    assert.deepEqual(deviationOf(result, "Führung", "wollen"), { definition: "Führung", dimension: "wollen", min: 4, max: 8, mitte: 6, score: 9.5, status: "above", deviation: 1.5, deltaToMitte: 3.5 });
+    assert.deepEqual(deviationOf(result, "Kommunikation", "koennen"), { definition: "Kommunikation", dimension: "koennen", min: 5, max: 7, mitte: 6, score: 4, status: "below", deviation: -1, deltaToMitte: -2 });
+  });
+
+  test("does not rate missing scores and bands", () => {
+    assert.equal(deviationOf(result, "Kommunikation", "wollen").status, "no_band");
+    assert.equal(deviationOf(result, "Planung", "koennen").status, "no_score");
+    assert.equal(deviationOf(result, "Planung", "wollen").deviation, null);
+  });
+
+  test("computes the fit per dimension and overall", () => {
+    assert.deepEqual(result.dimensions.koennen, { rated: 2, inside: 1, fitScore: 50, meanAbsoluteDeviation: 0.5 });
+    assert.deepEqual(result.dimensions.wollen, { rated: 1, inside: 0, fitScore: 0, meanAbsoluteDeviation: 1.5 });
+    assert.equal(result.fitScore, 33.33);
+  });
+
+  test("lists definitions without scores and scales without a definition", () => {
+    assert.deepEqual(result.unmatched, { definitions: ["Planung"], scales: ["Belastbarkeit"] });
+  });
+
+  test("matches definitions without case and accents", () => {
+    const report = { dimensions: REPORT.dimensions, scores: [{ dimension: "K", scale: "S1", name: "fuhrung", value: 5 }] };
+    const { deviations } = comparePatWithReport({ pat: PAT, report, dimensions: DIMENSIONS });
+    assert.equal(deviationOf({ deviations }, "Führung", "koennen").status, "inside");
+  });
+
+  test("does not score a scale without a known dimension as Können", () => {
+    const report = {
+      dimensions: [{ id: "D1", name: "Persönlichkeit" }],
+      scores: [
+        { dimension: "D1", scale: "S1", name: "Führung", value: 6 },
+        { dimension: "D9", scale: "S2", name: "Planung", value: 4 }
+      ]
+    };
+    const compared = comparePatWithReport({ pat: PAT, report, dimensions: DIMENSIONS });
+
+    assert.ok(compared.deviations.every((entry) => entry.score === null));
+    assert.equal(compared.fitScore, null);
+    assert.deepEqual(compared.unmatched.scales, ["Persönlichkeit Führung", "Planung"]);
+    assert.deepEqual(compared.unmatched.definitions, ["Führung", "Kommunikation", "Planung"]);
+  });
+});
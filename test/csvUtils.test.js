@@ -0,0 +1,121 @@
+/**
+ * Tests for the CSV utilities (HR Cockpit evaluation export)
+ * The fixtures hold the same two candidates in every encoding, delimiter and layout
+ * the export comes in: UTF-8 with and without BOM and Latin-1, ";" and ",", wide and long.
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { decodeCsv, detectDelimiter, parseCsv, parseEvaluationCsv } from "../src/utils/csvUtils.js";
+import { HR_COCKPIT_CONFIG } from "../src/platforms/shared/hrCockpit.js";
+
+const FIXTURES = [
+  { file: "wide-utf8-bom-semicolon.csv", encoding: "utf-8", delimiter: ";", layout: "wide" },
+  { file: "wide-utf8-comma.csv", encoding: "utf-8", delimiter: ",", layout: "wide" },
+  { file: "wide-latin1-semicolon.csv", encoding: "latin1", delimiter: ";", layout: "wide" },
+  { file: "long-utf8-semicolon.csv", encoding: "utf-8", delimiter: ";", layout: "long" },
+  { file: "long-utf8-bom-comma.csv", encoding: "utf-8", delimiter: ",", layout: "long" },
+  { file: "long-latin1-comma.csv", encoding: "latin1", delimiter: ",", layout: "long" }
+];
+
+const EVALUATION_PARSE = HR_COCKPIT_CONFIG.reportFlows.find((flow) => flow.name === "Evaluate-daten").parse;
+
+const EXPECTED_CANDIDATES = [
+  {
+    identifiers: { uid: "4711", code: "ABC123", lastName: "Müller", firstName: "Jürg", email: null, completedAt: "2024-03-12T13:30:00.000Z" },
+    scores: [{ scale: "Führung", score: 7.5 }, { scale: "Kommunikation", score: 6 }]
+  },
+  {
+    identifiers: { uid: "4712", code: "DEF456", lastName: "Zäch", firstName: "Anna", email: null, completedAt: "2024-03-12T23:00:00.000Z" },
+    scores: [{ scale: "Führung", score: 8 }, { scale: "Kommunikation", score: 5.5 }]
+  }
+];
+
+function readFixture(file) {
+  return readFile(new URL(`./fixtures/evaluation/${file}`, import.meta.url));
+}
+
+describe("decodeCsv", () => {
+  for (const { file, encoding } of FIXTURES) {
+    test(`decodes ${file} as ${encoding}`, async () => {
+      const decoded = decodeCsv(await readFixture(file));
+
+      assert.equal(decoded.encoding, encoding);
+      assert.ok(decoded.text.startsWith("UID"), "the BOM is stripped");
+      assert.ok(decoded.text.includes("Müller"));
+      assert.ok(decoded.text.includes("Führung"));
+    });
+  }
+});
+
+describe("detectDelimiter", () => {
+  for (const { file, delimiter } of FIXTURES) {
+    test(`detects "${delimiter}" in ${file}`, async () => {
+      const { text } = decodeCsv(await readFixture(file));
+      assert.equal(detectDelimiter(text), delimiter);
+    });
+  }
+
+  test("ignores delimiters inside quoted fields", () => {
+    assert.equal(detectDelimiter('a;b;c\n"1,5";"2,5";"x,y,z"\n'), ";");
+  });
+
+  test("defaults to a semicolon for a single column", () => {
+    assert.equal(detectDelimiter("UID\n4711\n"), ";");
+  });
+});
+
+describe("parseCsv", () => {
+  test("keeps delimiters inside quoted fields", () => {
+    assert.deepEqual(parseCsv('a;"b;c";d\n', { delimiter: ";" }), [["a", "b;c", "d"]]);
+  });
+
+  test("keeps line breaks and doubled quotes inside quoted fields", () => {
+    assert.deepEqual(parseCsv('a,"line 1\r\nline ""2""",b\r\nc,d,e\r\n', { delimiter: "," }), [
+      ["a", 'line 1\r\nline "2"', "b"],
+      ["c", "d", "e"]
+    ]);
+  });
+
+  test("skips empty lines and reads a last line without line break", () => {
+    assert.deepEqual(parseCsv("a;b\n\n;\nc;d", { delimiter: ";" }), [["a", "b"], ["c", "d"]]);
+  });
+
+  test("keeps empty fields", () => {
+    assert.deepEqual(parseCsv("a;;c\n", { delimiter: ";" }), [["a", "", "c"]]);
+  });
+});
+
+describe("parseEvaluationCsv", () => {
+  for (const { file, encoding, delimiter, layout } of FIXTURES) {
+    test(`parses ${file}`, async () => {
+      const evaluation = parseEvaluationCsv(await readFixture(file), EVALUATION_PARSE);
+
+      assert.equal(evaluation.encoding, encoding);
+      assert.equal(evaluation.delimiter, delimiter);
+      assert.equal(evaluation.layout, layout);
+      assert.deepEqual(evaluation.scales, ["Führung", "Kommunikation"]);
+      assert.deepEqual(
+        evaluation.candidates.map(({ identifiers, scores }) => ({ identifiers, scores })),
+        EXPECTED_CANDIDATES
+      );
+    });
+  }
+
+  test("keeps non-numeric columns of the wide layout as text fields", async () => {
+    const evaluation = parseEvaluationCsv(await readFixture("wide-utf8-comma.csv"), EVALUATION_PARSE);
+
+    assert.deepEqual(evaluation.candidates.map((candidate) => candidate.fields), [
+      { Bemerkung: "Sehr gut, teamfähig" },
+      { Bemerkung: 'Zeile 1\r\nZeile "2"' }
+    ]);
+  });
+
+  test("returns no candidates for an empty file", () => {
+    const evaluation = parseEvaluationCsv(Buffer.from(""), EVALUATION_PARSE);
+
+    assert.deepEqual(evaluation.candidates, []);
+    assert.deepEqual(evaluation.scales, []);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for the date utilities (listing and sync date range)
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { parseDateInput, parseSwissDate } from "../src/utils/dateUtils.js";
+
+describe("parseDateInput", () => {
+  test("reads dates and times as Swiss local time", () => {
+    assert.equal(parseDateInput("2024-01-15").toISOString(), "2024-01-14T23:00:00.000Z");
+    assert.equal(parseDateInput("2024-07-15T14:30").toISOString(), "2024-07-15T12:30:00.000Z");
+    assert.equal(parseDateInput("2024-07-15T14:30:15").toISOString(), "2024-07-15T12:30:15.000Z");
+  });
+
+  test("fills the missing time parts up to the end with endOfDay", () => {
+    assert.equal(parseDateInput("2024-07-15", { endOfDay: true }).toISOString(), "2024-07-15T21:59:59.999Z");
+    assert.equal(parseDateInput("2024-07-15T14:30", { endOfDay: true }).toISOString(), "2024-07-15T12:30:59.999Z");
+    assert.equal(parseDateInput("2024-07-15T14:30:15", { endOfDay: true }).toISOString(), "2024-07-15T12:30:15.000Z");
+  });
+
+  test("returns null without a value", () => {
+    assert.equal(parseDateInput(""), null);
+    assert.equal(parseDateInput(undefined), null);
+  });
+
+  test("rejects out-of-range components instead of rolling them over", () => {
+    for (const value of ["2024-02-30", "2024-02-31", "2023-02-29", "2024-13-01", "2024-00-10", "2024-02-28T24:00", "2024-02-28T10:60", "2024-02-28T10:00:60"]) {
+      assert.throws(() => parseDateInput(value), /Invalid date/, value);
+    }
+  });
+
+  test("rejects every other format", () => {
+    for (const value of ["2024/02/31", "2024/02/28", "2024-2-31", "2024-2-3", "2024-02-30T10:00:00Z", "2024-02-28T10:00:00+01:00", "2024-02-28 10:00", "28.02.2024", "Feb 28 2024", "1709078400000"]) {
+      assert.throws(() => parseDateInput(value), /Invalid date/, value);
+    }
+  });
+
+  test("accepts the leap day of leap years", () => {
+    assert.equal(parseDateInput("2024-02-29").toISOString(), "2024-02-28T23:00:00.000Z");
+  });
+});
+
+describe("parseSwissDate", () => {
+  test("finds the date in a text", () => {
+    assert.equal(parseSwissDate("Abgeschlossen am 12.03.2024 14:30").toISOString(), "2024-03-12T13:30:00.000Z");
+  });
+
+  test("returns null for invalid dates", () => {
+    assert.equal(parseSwissDate("31.02.2024"), null);
+    assert.equal(parseSwissDate("no date"), null);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests for the PAT utilities (target profiles of both vendors)
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { parsePatTable, diffPat, readPatPage } from "../src/utils/patUtils.js";
+import { config as patConfig } from "../src/platforms/profilingValuesSoll.js";
+import { config as hrCockpitSollConfig } from "../src/platforms/hrCockpitSoll.js";
+
+const TABLE = patConfig.patTable;
+
+describe("parsePatTable", () => {
+  test("reads the columns by their header labels, in any order", () => {
+    const { data, warnings } = parsePatTable({
+      headers: ["Soll", "Max", "Min", "Dimension", "Definition"],
+      rows: [
+        ["6", "8", "4", "Können", "Führung"],
+        ["7", "9", "5", "Wollen", "Führung"]
+      ]
+    }, TABLE);
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(data, [
+      { definition: "Führung", koennen: { min: 4, max: 8, mitte: 6 }, wollen: { min: 5, max: 9, mitte: 7 }, warnings: [] }
+    ]);
+  });
+
+  test("falls back to the configured index if no header matches", () => {
+    const { data } = parsePatTable({
+      headers: ["", "", "", "", ""],
+      rows: [["Planung", "Können", "1", "3", "2"], ["Planung", "Wollen", "2", "4", "3"]]
+    }, TABLE);
+
+    assert.deepEqual(data[0].koennen, { min: 1, max: 3, mitte: 2 });
+    assert.deepEqual(data[0].wollen, { min: 2, max: 4, mitte: 3 });
+  });
+
+  test("does not take a 'Dimension' header for the 'Min' column", () => {
+    const { data } = parsePatTable({
+      headers: ["Kompetenz", "Dimension", "Minimum", "Maximum", "Mitte"],
+      rows: [["Planung", "Können", "1", "3", "2"], ["Planung", "Wollen", "2", "4", "3"]]
+    }, TABLE);
+
+    assert.deepEqual(data[0].koennen, { min: 1, max: 3, mitte: 2 });
+  });
+
+  test("continues the definition of rows shortened by a rowspan cell", () => {
+    const { data } = parsePatTable({
+      headers: ["Definition", "Dimension", "Min", "Max", "Mitte"],
+      rows: [
+        ["Führung", "Können", "4", "8", "6"],
+        ["Wollen", "5", "9", "7"],
+        ["Planung", "Wollen", "2", "4", "3"],
+        ["Können", "1", "3", "2"]
+      ]
+    }, TABLE);
+
+    assert.deepEqual(data.map((row) => row.definition), ["Führung", "Planung"]);
+    assert.deepEqual(data[0].wollen, { min: 5, max: 9, mitte: 7 });
+    assert.deepEqual(data[1].koennen, { min: 1, max: 3, mitte: 2 });
+    assert.deepEqual(data[1].wollen, { min: 2, max: 4, mitte: 3 });
+  });
+
+  test("gives rows without a dimension label the next missing dimension", () => {
+    const { data } = parsePatTable({
+      headers: ["Definition", "Dimension", "Min", "Max", "Mitte"],
+      rows: [["Führung", "", "4", "8", "6"], ["Führung", "", "5", "9", "7"]]
+    }, TABLE);
+
+    assert.deepEqual(data[0].koennen, { min: 4, max: 8, mitte: 6 });
+    assert.deepEqual(data[0].wollen, { min: 5, max: 9, mitte: 7 });
+  });
+
+  test("writes invalid values as null and lists them in the warnings of the row", () => {
+    const { data } = parsePatTable({
+      headers: ["Definition", "Dimension", "Min", "Max", "Mitte"],
+      rows: [
+        ["Führung", "Können", "", "n/a", "4,5"],
+        ["Führung", "Wollen", "2", "12", "3"],
+        ["Planung", "Können", "6", "4", "5"]
+      ]
+    }, TABLE);
+
+    assert.deepEqual(data[0].koennen, { min: null, max: null, mitte: 4.5 });
+    assert.deepEqual(data[0].wollen, { min: 2, max: null, mitte: 3 });
+    assert.deepEqual(data[0].warnings, [
+      "Können min is empty",
+      "Können max is not a number: \"n/a\"",
+      "Wollen max 12 is outside 0..10"
+    ]);
+
+    assert.deepEqual(data[1].koennen, { min: null, max: null, mitte: null });
+    assert.deepEqual(data[1].warnings, [
+      "Können violates min ≤ mitte ≤ max (min 6, mitte 5, max 4)",
+      "Wollen row is missing"
+    ]);
+  });
+
+  test("reports unexpected rows and rows without a definition", () => {
+    const { data, warnings } = parsePatTable({
+      headers: ["Definition", "Dimension", "Min", "Max", "Mitte"],
+      rows: [
+        ["", "Können", "1", "3", "2"],
+        ["Führung", "Können", "4", "8", "6"],
+        ["Führung", "Können", "1", "2", "1"],
+        ["Führung", "Wollen", "5", "9", "7"]
+      ]
+    }, TABLE);
+
+    assert.deepEqual(warnings, [{ row: 1, message: "Row without definition" }]);
+    assert.deepEqual(data[0].koennen, { min: 4, max: 8, mitte: 6 });
+    assert.deepEqual(data[0].warnings, ["Row 3: unexpected second Können row, ignored"]);
+  });
+});
+
+describe("diffPat", () => {
+  const previous = {
+    metadata: { code: "JKL012", role: "Teamleiter", modified: "2024-03-01T09:00:00.000Z" },
+    data: [
+      { definition: "Führung", koennen: { min: 4, max: 8, mitte: 6 }, wollen: { min: 5, max: 9, mitte: 7 }, warnings: [] },
+      { definition: "Planung", koennen: { min: 1, max: 3, mitte: 2 }, wollen: { min: 2, max: 4, mitte: 3 }, warnings: [] }
+    ]
+  };
+
+  test("finds no changes between equal PATs, whatever their warnings", () => {
+    const current = structuredClone(previous);
+    current.data[0].warnings = ["Können min is empty"];
+
+    assert.deepEqual(diffPat(previous, current), {
+      hasChanges: false,
+      metadata: [],
+      addedDefinitions: [],
+      removedDefinitions: [],
+      values: []
+    });
+  });
+
+  test("lists changed values, added and removed definitions and metadata", () => {
+    const current = {
+      metadata: { code: "JKL012", role: "Abteilungsleiter", modified: "2024-04-01T09:00:00.000Z", company: "ACME" },
+      data: [
+        { definition: "Führung", koennen: { min: 5, max: 8, mitte: 6 }, wollen: { min: 5, max: 9, mitte: null } },
+        { definition: "Kommunikation", koennen: { min: 4, max: 6, mitte: 5 }, wollen: { min: 4, max: 6, mitte: 5 } }
+      ]
+    };
+
+    assert.deepEqual(diffPat(previous, current), {
+      hasChanges: true,
+      metadata: [
+        { field: "role", before: "Teamleiter", after: "Abteilungsleiter" },
+        { field: "modified", before: "2024-03-01T09:00:00.000Z", after: "2024-04-01T09:00:00.000Z" },
+        { field: "company", before: null, after: "ACME" }
+      ],
+      addedDefinitions: ["Kommunikation"],
+      removedDefinitions: ["Planung"],
+      values: [
+        { definition: "Führung", dimension: "koennen", bound: "min", before: 4, after: 5 },
+        { definition: "Führung", dimension: "wollen", bound: "mitte", before: 7, after: null }
+      ]
+    });
+  });
+});
+
+describe("readPatPage", () => {
+  const SOLL_PROFILE_PAGE = `
+    <div id="content">
+      <table>
+        <tr><td>UID:</td><td>4711</td><td>Firma:</td><td>ACME AG</td></tr>
+        <tr><td>Funktion:</td><td>Teamleiter</td></tr>
+        <tr><td>Erstellt am:</td><td>12.03.2024 14:30 von M. Muster</td></tr>
+        <tr><td colspan="4">
+          <table>
+            <tr><th>Kompetenz</th><th>Dimension</th><th>Min</th><th>Max</th><th>Soll</th></tr>
+            <tr><td rowspan="2">Führung</td><td>Können</td><td>4</td><td>8</td><td>6</td></tr>
+            <tr><td>Wollen</td><td>5</td><td>9</td><td>7</td></tr>
+          </table>
+        </td></tr>
+      </table>
+    </div>`;
+
+  test("reads the metadata around the profile table and the profile rows", () => {
+    const { metadata, info, data, warnings, tableFound } = readPatPage(SOLL_PROFILE_PAGE, hrCockpitSollConfig.sollProfile);
+
+    assert.equal(tableFound, true);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(metadata, {
+      key: "4711",
+      company: "ACME AG",
+      role: "Teamleiter",
+      created: "2024-03-12T13:30:00.000Z",
+      created_by: "M. Muster"
+    });
+    assert.deepEqual(Object.keys(info), ["UID", "Firma", "Funktion", "Erstellt am"]);
+    assert.deepEqual(data, [
+      { definition: "Führung", koennen: { min: 4, max: 8, mitte: 6 }, wollen: { min: 5, max: 9, mitte: 7 }, warnings: [] }
+    ]);
+  });
+
+  test("reports a page without a profile table", () => {
+    const { tableFound, data } = readPatPage("<div id=\"content\"><table><tr><td>Code</td></tr></table></div>", hrCockpitSollConfig.sollProfile);
+
+    assert.equal(tableFound, false);
+    assert.deepEqual(data, []);
+  });
+});
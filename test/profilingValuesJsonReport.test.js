@@ -0,0 +1,76 @@
+/**
+ * Tests for the Profiling Values JSON-Report schemas
+ * Real, anonymized reports go to test/fixtures/json-report/ as <name>.json, each one must
+ * validate against a schema version and normalize. Drift from the schemas fails the run.
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readdir, readFile } from "node:fs/promises";
+import { normalizeVersioned } from "../src/utils/schemaUtils.js";
+import { SchemaDriftError, isFatalError } from "../src/utils/errors.js";
+import { PROFILING_VALUES_JSON_REPORT } from "../src/platforms/shared/profilingValuesJsonReport.js";
+
+const FIXTURE_DIR = new URL("./fixtures/json-report/", import.meta.url);
+
+const samples = await readdir(FIXTURE_DIR).then(
+  (files) => files.filter((file) => file.endsWith(".json")).sort(),
+  () => []
+);
+
+describe("JSON-Report samples", () => {
+  if (samples.length === 0) {
+    test("validate and normalize the anonymized reports in test/fixtures/json-report/", { todo: "no report sample yet" });
+  }
+
+  for (const file of samples) {
+    test(`${file} validates and normalizes`, async () => {
+      const document = JSON.parse(await readFile(new URL(file, FIXTURE_DIR), "utf-8"));
+      const normalized = normalizeVersioned({ document, definition: PROFILING_VALUES_JSON_REPORT });
+
+      assert.ok(normalized.schemaVersion);
+      assert.equal(typeof normalized.candidate.code, "string");
+      assert.ok(normalized.dimensions.length > 0);
+      assert.ok(normalized.scores.length > 0);
+      for (const score of normalized.scores) {
+        assert.ok(normalized.dimensions.some((dimension) => dimension.id === score.dimension), `score ${score.scale} has an unknown dimension`);
+        assert.ok(score.value === null || Number.isFinite(score.value), `score ${score.scale} is not a number`);
+      }
+    });
+  }
+});
+
+describe("schema drift", () => {
+  const driftOf = (document, definition = PROFILING_VALUES_JSON_REPORT) => {
+    try {
+      normalizeVersioned({ document, definition });
+    } catch (error) {
+      return error;
+    }
+    return assert.fail("the document was accepted");
+  };
+
+  test("a report missing required fields fails the run", () => {
+    const error = driftOf({ person: { code: "ABC123" }, results: [] });
+    assert.ok(error instanceof SchemaDriftError);
+    assert.equal(isFatalError(error), true);
+    assert.ok(error.issues.some((issue) => issue.path === "$.test"));
+  });
+
+  test("a report with a retyped field fails the run", () => {
+    const error = driftOf({
+      person: { code: "ABC123" },
+      test: { completed: "12.03.2024" },
+      norm: { name: "Kader" },
+      dimensions: [{ id: "D1", name: "Führung", scales: [{ id: "S1", name: "Durchsetzung", value: "hoch" }] }]
+    });
+    assert.equal(isFatalError(error), true);
+    assert.match(error.message, /Schema drift in JSON-Report/);
+  });
+
+  test("an unknown declared version fails the run", () => {
+    const error = driftOf({ meta: { version: "99" } });
+    assert.equal(isFatalError(error), true);
+    assert.match(error.message, /unknown version "99"/);
+  });
+});
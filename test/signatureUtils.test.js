@@ -0,0 +1,74 @@
+/**
+ * Tests for the signature of the progress callbacks
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { signPayload, verifySignature, SIGNATURE_HEADERS } from "../src/utils/signatureUtils.js";
+
+const SECRET = "test-secret";
+const BODY = JSON.stringify({ runId: "run-1", status: "RUNNING", progress: { done: 1, total: 3 } });
+const NOW = 1718000000;
+
+const sign = (overrides = {}) => signPayload({ body: BODY, secret: SECRET, timestamp: NOW, nonce: "nonce-1", ...overrides });
+const verify = (headers, overrides = {}) => verifySignature({ body: BODY, headers, secret: SECRET, now: NOW, ...overrides });
+
+describe("verifySignature", () => {
+  test("accepts a request signed with the shared secret", async () => {
+    assert.deepEqual(await verify(sign()), { valid: true });
+  });
+
+  test("reads the headers case-insensitively from plain objects and Headers", async () => {
+    const headers = sign();
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+    assert.deepEqual(await verify(lowerCased), { valid: true });
+    assert.deepEqual(await verify(new Headers(headers)), { valid: true });
+  });
+
+  test("rejects a tampered body", async () => {
+    const result = await verifySignature({ body: BODY.replace("RUNNING", "SUCCEEDED"), headers: sign(), secret: SECRET, now: NOW });
+    assert.deepEqual(result, { valid: false, reason: "signature mismatch" });
+  });
+
+  test("rejects another secret and another signature version", async () => {
+    assert.equal((await verify(sign(), { secret: "other-secret" })).reason, "signature mismatch");
+
+    const headers = sign();
+    headers[SIGNATURE_HEADERS.signature] = headers[SIGNATURE_HEADERS.signature].replace(/^v1=/, "v2=");
+    assert.equal((await verify(headers)).reason, "signature mismatch");
+  });
+
+  test("rejects timestamps outside the tolerance window", async () => {
+    assert.deepEqual(await verify(sign({ timestamp: NOW - 301 })), { valid: false, reason: "timestamp outside the tolerance window" });
+    assert.equal((await verify(sign({ timestamp: NOW + 301 }))).valid, false);
+    assert.equal((await verify(sign({ timestamp: NOW - 300 }))).valid, true);
+    assert.equal((await verify(sign({ timestamp: NOW - 60 }), { toleranceSeconds: 30 })).valid, false);
+  });
+
+  test("rejects a replayed nonce", async () => {
+    const used = new Set();
+    const isNonceUsed = async (nonce) => used.has(nonce) || !used.add(nonce);
+    const headers = sign();
+
+    assert.deepEqual(await verify(headers, { isNonceUsed }), { valid: true });
+    assert.deepEqual(await verify(headers, { isNonceUsed }), { valid: false, reason: "nonce already used" });
+    assert.deepEqual(await verify(sign({ nonce: "nonce-2" }), { isNonceUsed }), { valid: true });
+  });
+
+  test("does not remember the nonce of a forged request", async () => {
+    const used = new Set();
+    const isNonceUsed = async (nonce) => used.has(nonce) || !used.add(nonce);
+
+    await verify(sign({ secret: "other-secret" }), { isNonceUsed });
+    assert.equal(used.size, 0);
+  });
+
+  test("rejects requests without signature headers", async () => {
+    const headers = sign();
+    delete headers[SIGNATURE_HEADERS.nonce];
+
+    assert.deepEqual(await verify(headers), { valid: false, reason: "missing signature headers" });
+    assert.deepEqual(await verify({}), { valid: false, reason: "missing signature headers" });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the sync watermark (sync mode)
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { advanceWatermark, selectNewEntries } from "../src/utils/syncUtils.js";
+
+describe("selectNewEntries", () => {
+  const entries = [
+    { code: "C3", completedAt: "2024-03-03T10:00:00.000Z" },
+    { code: "U1", completedAt: null },
+    { code: "C1", completedAt: "2024-03-01T10:00:00.000Z" },
+    { code: "C2", completedAt: "2024-03-02T10:00:00.000Z" }
+  ];
+  const codesOf = (selected) => selected.map((entry) => entry.code);
+
+  test("selects everything on the first run, oldest first and undated last", () => {
+    assert.deepEqual(codesOf(selectNewEntries(entries, { lastCompletedAt: null, seen: {} })), ["C1", "C2", "C3", "U1"]);
+  });
+
+  test("limits the first run to entries completed since the given date", () => {
+    const since = new Date("2024-03-02T00:00:00.000Z");
+    assert.deepEqual(codesOf(selectNewEntries(entries, { lastCompletedAt: null, seen: {} }, since)), ["C2", "C3", "U1"]);
+  });
+
+  test("skips entries completed before the watermark and codes already synced", () => {
+    const watermark = { lastCompletedAt: "2024-03-02T10:00:00.000Z", seen: { C2: "2024-03-02T10:00:00.000Z", U1: null } };
+    const since = new Date("2024-01-01T00:00:00.000Z");
+
+    assert.deepEqual(codesOf(selectNewEntries(entries, watermark, since)), ["C3"]);
+  });
+});
+
+describe("advanceWatermark", () => {
+  test("advances to the latest synced entry and remembers its code", () => {
+    const entries = [
+      { code: "C1", completedAt: "2024-03-01T10:00:00.000Z" },
+      { code: "C2", completedAt: "2024-03-02T10:00:00.000Z" },
+      { code: "U1", completedAt: null }
+    ];
+
+    const advanced = advanceWatermark({ lastCompletedAt: null, seen: {} }, entries, new Set(["C1", "C2", "U1"]));
+
+    assert.equal(advanced.lastCompletedAt, "2024-03-02T10:00:00.000Z");
+    assert.deepEqual(advanced.seen, { C2: "2024-03-02T10:00:00.000Z", U1: null });
+  });
+
+  test("does not advance past a failed entry, which the next run selects again", () => {
+    const entries = [
+      { code: "C1", completedAt: "2024-03-01T10:00:00.000Z" },
+      { code: "C2", completedAt: "2024-03-02T10:00:00.000Z" },
+      { code: "C3", completedAt: "2024-03-03T10:00:00.000Z" }
+    ];
+
+    const advanced = advanceWatermark({ lastCompletedAt: null, seen: {} }, entries, new Set(["C1", "C3"]));
+
+    assert.equal(advanced.lastCompletedAt, "2024-03-02T10:00:00.000Z");
+    assert.deepEqual(selectNewEntries(entries, advanced).map((entry) => entry.code), ["C2"]);
+  });
+
+  test("keeps the watermark if nothing succeeded", () => {
+    const watermark = { lastCompletedAt: "2024-03-01T10:00:00.000Z", seen: {} };
+    const entries = [{ code: "C2", completedAt: "2024-03-02T10:00:00.000Z" }];
+
+    assert.equal(advanceWatermark(watermark, entries, new Set()).lastCompletedAt, "2024-03-01T10:00:00.000Z");
+  });
+
+  test("forgets dated codes once the watermark passes them", () => {
+    const watermark = { lastCompletedAt: "2024-03-01T10:00:00.000Z", seen: { OLD001: "2024-03-01T10:00:00.000Z" } };
+    const entries = [{ code: "NEW001", completedAt: "2024-03-02T10:00:00.000Z" }];
+
+    const advanced = advanceWatermark(watermark, entries, new Set(["NEW001"]));
+
+    assert.deepEqual(advanced.seen, { NEW001: "2024-03-02T10:00:00.000Z" });
+  });
+
+  test("forgets undated codes once the listing no longer shows them", () => {
+    const watermark = { lastCompletedAt: "2024-03-01T10:00:00.000Z", seen: { GONE01: null, KEPT01: null } };
+    const entries = [{ code: "NEW001", completedAt: null }];
+
+    const advanced = advanceWatermark(watermark, entries, new Set(["NEW001"]), new Set(["KEPT01", "NEW001"]));
+
+    assert.deepEqual(advanced.seen, { KEPT01: null, NEW001: null });
+  });
+
+  test("keeps undated codes without a listing to compare against", () => {
+    const watermark = { lastCompletedAt: null, seen: { UNDATED: null } };
+
+    assert.deepEqual(advanceWatermark(watermark, [], new Set()).seen, { UNDATED: null });
+  });
+});